@@ -22,31 +22,75 @@
 
 var TARGET_RESOLUTION = 30;       // meters (final/full-res)
 var SIEVE_THRESHOLD_PIXELS = 6;   // pixels for filtering out (6 pixels ~0.5 ha at 30m), minimum mapping unit
+var SIEVE_MODE = 'pixels';        // small-patch filter: 'pixels' (SIEVE_THRESHOLD_PIXELS, one pass, as in v1.0), 'class' (regions of equal agreement value) or 'forest' (forest/non-forest regions at MAJORITY_THRESHOLD)
+var SIEVE_MMU_HA = 0.5;           // 'class'/'forest': minimum mapping unit in hectares, converted to pixels at the agreement resolution
+var SIEVE_ITERATIONS = 5;         // 'class'/'forest': maximum passes; the filter repeats until no region below SIEVE_MMU_HA can be reassigned
 var FOREST_HEIGHT_MIN = 5;        // meters
+var REFERENCE_YEAR = 2020;        // year of the agreement layer (e.g. 2018, 2020, 2021); each dataset uses its closest available edition
+var AGREEMENT_BAND = 'agreement'; // band used for the majority-forest summaries: 'agreement' (number of maps) or 'weighted' (weighted consensus)
+var MAJORITY_THRESHOLD = 6;       // minimum number of maps counted as majority forest when AGREEMENT_BAND = 'agreement' (6 = 6..9 of 9 maps)
+var WEIGHTED_SCALE = 100;         // weighted consensus range: 1 (0–1) or 100 (0–100)
+var WEIGHTED_MAJORITY = 66.7;     // weighted score (on WEIGHTED_SCALE) counted as majority forest when AGREEMENT_BAND = 'weighted' (66.7 ~ 6 of 9 maps)
+var DATASET_WEIGHTS = {};         // confidence weight per dataset key, e.g. {'JRC': 0.9, 'GLC10': 0.5}; datasets not listed weigh 1
 var AGREEMENT_RADIUS = 1;         // pixels for focalMode filter. When value is "1", the filter looks at a 3×3 neighborhood (1 pixel in every direction → center + 8 surrounding pixels)
+var NORMALIZE_BY_COVERAGE = false; // true = count the agreement among the datasets with valid data at each pixel, scaled to all maps (data gaps no longer count as non-forest)
+var AGGREGATION_MODE = 'resample';  // how the 10–30 m forest masks meet on one grid: 'resample' (EPSG:4326, bilinear, as in v1.0), 'fraction' (forest fraction per AGGREGATION_CRS cell, see FOREST_FRACTION_MIN) or 'native' (10 m grid for small plots; the run uses 10 m instead of TARGET_RESOLUTION)
+var AGGREGATION_CRS = 'EPSG:6933';  // grid of the 'fraction' and 'native' modes: equal-area (default) or a UTM zone, e.g. 'EPSG:32630'
+var FOREST_FRACTION_MIN = 0.5;      // 'fraction' mode: share (0–1) of a pixel a dataset must map as forest to count as a forest vote
+var FOREST_FRACTION_BY_DATASET = {}; // 'fraction' mode: share per dataset key, e.g. {'ETH': 0.3}; datasets not listed use FOREST_FRACTION_MIN
 
 
 ///////////////////////////////////////
 // PART 0A: INPUT SETTINGS (LOAD DATA)
 ///////////////////////////////////////
 
-// Upload your production polygons or point data into Earth Engine Assets.
-// Supported formats: SHP, KML/KMZ, GeoJSON, or CSV with geometry.
+// Upload your production polygons or point data into Earth Engine Assets,
+// or paste them as GeoJSON / CSV text below (INPUT_SOURCE) without uploading.
+// Supported asset formats: SHP, KML/KMZ, GeoJSON, or CSV with geometry.
 // More info: https://developers.google.com/earth-engine/guides/manage_assets
 
 // 1. Choose the type of input geodata.
-//    'Polygon' = polygons are used directly.
-//    'Point'   = each point will be buffered to create a polygon-like area.
-var GEODATA_TYPE = 'Polygon';   // Options: 'Polygon' or 'Point'
-
-// 2. Buffer radius (meters). Used ONLY when GEODATA_TYPE = 'Point', is created automatically.
+//    'Auto'    = every feature is checked: points are buffered, polygons are used directly (mixed uploads).
+//    'Polygon' = only polygons/multipolygons are used directly; other features are reported and skipped.
+//    'Point'   = only points/multipoints are used, each buffered to create a polygon-like area.
+//    Every feature is validated (type, empty or invalid geometry, duplicate IDs) and the result is
+//    exported as a validation report (Geodata_Validation_<year>.csv).
+var GEODATA_TYPE = 'Auto';   // Options: 'Auto', 'Polygon' or 'Point'
+
+// 2. Buffer radius (meters). Used for point features, is created automatically.
+//    Points from an EUDR Information System GeoJSON with an "Area" property (ha) use that area instead.
 //    Here you just need to set your minimum targeted area
 var BUFFER_HA = 0.6; // Recommended minimum size should be greater than 0.5 ha, based on the FAO forest definition, which uses 0.5 ha as the minimum mapping unit.
                     
 
-// 3. Specify the path to the geodata stored in Assets.
+// 3. Where the geodata comes from.
+//    'Asset'   = uploaded to Earth Engine Assets, set SHAPEFILE_PATH
+//    'GeoJSON' = GeoJSON FeatureCollection pasted into INPUT_TEXT (also the EUDR Information System layout)
+//    'CSV'     = CSV text pasted into INPUT_TEXT, with lat/lon columns or a WKT column (comma, semicolon or tab separated)
+var INPUT_SOURCE = 'Asset';   // Options: 'Asset', 'GeoJSON' or 'CSV'
+
+// 3a. Used ONLY when INPUT_SOURCE = 'Asset': path to the geodata stored in Assets.
 var SHAPEFILE_PATH = 'projects/ee-yourusername/assets/your_geodata_here'; // <-- Replace with your username and asset name
 
+// 3b. Used ONLY when INPUT_SOURCE = 'GeoJSON' or 'CSV': the pasted text.
+//     Tip for CSV: one string per line, e.g. ['plot_id,lat,lon', 'A1,6.51,-1.62', 'A2,6.52,-1.60'].join('\n')
+//     Rows that cannot be read are listed in the validation report with their row number.
+var INPUT_TEXT = '';
+var CSV_LAT_FIELD = 'lat';    // CSV column with latitude
+var CSV_LON_FIELD = 'lon';    // CSV column with longitude
+var CSV_WKT_FIELD = 'wkt';    // CSV column with WKT geometry (POINT, MULTIPOINT, POLYGON, MULTIPOLYGON); used before lat/lon
+
+// 4. Attribute holding the plot ID (optional). When set, duplicate or missing IDs are flagged in the validation report.
+var PLOT_ID_FIELD = null;   // e.g. 'plot_id'; null = no ID check
+
+// 5. Clusters: plots closer than CLUSTER_DISTANCE_M are processed and exported together.
+//    'hull'   = convex hull of the plots + CLUSTER_MARGIN_M (follows the plots, fewer empty pixels in the GeoTIFF)
+//    'bounds' = bounding box of the plots + CLUSTER_MARGIN_M
+//    Every polygon gets the ID of its cluster (cluster_id, e.g. Cluster_3) and a cluster table is exported.
+var CLUSTER_DISTANCE_M = 20000;  // meters between plots of one cluster
+var CLUSTER_SHAPE = 'hull';      // Options: 'hull' or 'bounds'
+var CLUSTER_MARGIN_M = 500;      // meters around the plots (at least TARGET_RESOLUTION recommended)
+
 
 ///////////////////////////////////////
 // PART 0B: OUTPUT SETTINGS (EXPORT)
@@ -55,24 +99,189 @@ var SHAPEFILE_PATH = 'projects/ee-yourusername/assets/your_geodata_here'; // <--
 
 // 1. Choose where the forest-agreement layer will be exported.
 //    'Drive' → saves the file to your Google Drive
-//    'Asset' → saves the file to your Earth Engine Assets (shown in the left panel)
-var EXPORT_TARGET = 'Drive';   // Options: 'Drive' or 'Dsset'
+//    'Asset' → saves the file to your Earth Engine Assets (shown in the left panel); tables still go to Drive
+//    'GCS'   → saves the files and tables to a Google Cloud Storage bucket (see 3b)
+var EXPORT_TARGET = 'Drive';   // Options: 'Drive', 'Asset' or 'GCS'
 
 
 // 2. Settings used ONLY when EXPORT_TARGET = 'Asset'
 //    Provide the EE asset ID where the export should be saved.
-var EXPORT_ASSET_ID = 'users/your_username/ForestAgreement_2020';
+//    The reference year is appended automatically (e.g. ForestAgreement_2020).
+var EXPORT_ASSET_ID = 'users/your_username/ForestAgreement';
 // <-- Replace with your EE username and desired asset name
 
 // 3. Settings used ONLY when EXPORT_TARGET = 'Drive'
 //    These fields define the Drive folder and file description.
 var EXPORT_FOLDER = 'ForestAgreementExports';
-var EXPORT_DESCRIPTION = 'ForestAgreement_2020';
+//    The reference year is appended automatically (e.g. ForestAgreement_2020).
+var EXPORT_DESCRIPTION = 'ForestAgreement';
+
+// 3b. Settings used ONLY when EXPORT_TARGET = 'GCS'
+//    Files are written to gs://<GCS_BUCKET>/<GCS_PREFIX>/<name>.
+var GCS_BUCKET = 'your-bucket';        // <-- Replace with your bucket name (without gs://)
+var GCS_PREFIX = 'forest_agreement';   // "folder" inside the bucket ('' = bucket root)
+
+// 3c. BigQuery (optional): the forest extent summary (PART 9) and the polygon table (PART 10) are also
+//    exported as BigQuery tables <BIGQUERY_DATASET>.<name> (overwritten on every run).
+var BIGQUERY_DATASET = null;   // e.g. 'my-project.forest_agreement'; null = no BigQuery export
 
 // 4. File format of the exported output.
 //    Options: 'SHP', 'KML', 'KMZ', 'GeoJSON'
 var EXPORT_FORMAT = 'SHP';
 
+// 5. Add the "which maps agree" band (agree_bits) to the exported GeoTIFF.
+//    Bit i is set where dataset i (registry order) calls the pixel forest, e.g. 5 = 1st + 3rd dataset.
+//    The dataset order is printed in the Console; fal.decodeAgreementBits(value, names) returns the names.
+var EXPORT_AGREEMENT_BITS = true;
+
+// 6. Per-dataset breakdown in the polygon table (PART 10).
+//    f_<key> = % of the polygon mapped as forest by that dataset. A dataset is listed in "flagged_by"
+//    (and set in "flag_bits", same bit order as agree_bits) when it maps at least this % of the polygon as forest.
+var DATASET_FLAG_MIN_PCT = 10;
+
+// 7. Export profile.
+//    'agreement' → filtered agreement (+ weighted score / agree_bits as set above)
+//    'multiband' → raw and filtered agreement, one 0/1 forest mask per dataset (f_<key>), coverage, sieve_changed, + weighted score /
+//                  agree_bits / forest_type, all bands with one data type and no-data value -1. A style sidecar
+//                  (<name>_style.geojson: band descriptions, legend, QGIS .qml, .sld and ArcGIS .clr text)
+//                  is exported next to the cluster GeoTIFFs.
+var EXPORT_PROFILE = 'agreement';   // Options: 'agreement' or 'multiband'
+
+// 8. Add the forest type band (forest_type) to the exported GeoTIFF (both profiles).
+//    Within the majority forest: 10 = primary, 1 = naturally regenerating, 20 = planted/plantation forest,
+//    99 = forest without a type; 0 = not majority forest. Combines the GFT subtypes with the GLCLU forest
+//    types (also when they are dropped from the agreement); planted from either wins, GFT decides primary.
+var EXPORT_FOREST_TYPE = true;
+
+
+///////////////////////////////////////
+// PART 0C: SHARED MODULE
+///////////////////////////////////////
+/*
+Both scripts load the datasets and compute the agreement with the same module:
+src/module/GEE_forest_agreement_MODULE_v1.0.js
+- Copy the module into one of your GEE repositories (Scripts tab → NEW → Repository) and set its path below.
+- Path format: 'users/<username>/<repository>:<path inside repository>'
+*/
+
+var MODULE_PATH = 'users/your_username/gee_forest_agreement_layer:src/module/GEE_forest_agreement_MODULE_v1.0';
+
+
+///////////////////////////////////////
+// PART 0D: DATASET SELECTION
+///////////////////////////////////////
+/*
+The forest maps are listed in the dataset registry of the shared module (DATASETS).
+- DROP_DATASETS: registry keys to leave out, e.g. ['GLC10', 'ETH']
+- ADD_DATASETS : extra registry entries, e.g. a national forest map (see the field list in the module)
+To swap a map, drop its key and add the replacement. Palette and legend follow the number of maps.
+Keys: 'JRC', 'ESRI_LULC', 'DynamicWorld', 'GLCFCS30D', 'GLC10', 'GLCLU', 'PALSAR', 'ETH', 'GFT'
+*/
+
+var DROP_DATASETS = [];
+var ADD_DATASETS = [
+  /*
+  {key: 'NFM', name: 'National forest map', assetId: 'projects/ee-username/assets/national_forest_map',
+   type: 'Image', band: 'b1', dates: null, reducer: null, forestClasses: [1]}
+  */
+];
+
+
+///////////////////////////////////////
+// PART 0E: EUDR RISK CLASSIFICATION
+///////////////////////////////////////
+/*
+Each production polygon gets a risk category ("risk"), a reason code ("risk_code") and a reason text ("risk_why").
+- Rules are checked from top to bottom; the first rule whose conditions all hold is used.
+- A rule without conditions always matches (keep it last as the fallback).
+- Conditions use any column of the polygon table, e.g.:
+    area_ha, forestagree (% majority forest), agree_<v>_ha / agree_<v>_pct (per agreement level),
+    high_pct (% of polygon with >= HIGH_AGREEMENT_MIN maps), any_pct (% of polygon with >= 1 map),
+    loss_ha / loss_pct (only with LOSS_CHECK = true, see PART 0F),
+    primary_ha / natreg_ha / planted_ha / untyped_ha (majority forest per forest type, see EXPORT_FOREST_TYPE),
+    ch_mean / ch_median / ch_p90 (ETH canopy height in the majority forest, m), ch_gt5 / ch_gt10 / ch_gt15 (% above 5/10/15 m)
+- Operators: eq, neq, gt, gte, lt, lte. Polygons below 0.5 ha have no agreement values.
+The rules below are an example only; adapt them to your own due-diligence procedure.
+*/
+
+var HIGH_AGREEMENT_MIN = 8;   // number of maps counted as "high agreement" for high_pct
+
+var RISK_RULES = [
+  {category: 'standard', code: 'S0', reason: 'Polygon below 0.5 ha, no agreement assessment',
+   conditions: [{property: 'area_check', eq: 'below 0.5ha'}]},
+  {category: 'high', code: 'H0', reason: 'Majority forest lost after the cut-off date (LOSS_CHECK)',
+   conditions: [{property: 'loss_ha', gt: 0}]},
+  {category: 'high', code: 'H1', reason: 'High-agreement forest on 10% or more of the polygon',
+   conditions: [{property: 'high_pct', gte: 10}]},
+  {category: 'high', code: 'H2', reason: 'Majority forest on 10% or more of the polygon',
+   conditions: [{property: 'forestagree', gte: 10}]},
+  {category: 'standard', code: 'S1', reason: 'Majority forest on less than 10% of the polygon',
+   conditions: [{property: 'forestagree', gt: 0}]},
+  {category: 'low', code: 'L1', reason: 'Some maps show forest, no relevant majority forest',
+   conditions: [{property: 'any_pct', gt: 0}]},
+  {category: 'negligible', code: 'N1', reason: 'No map shows forest in the polygon'}
+];
+
+
+///////////////////////////////////////
+// PART 0F: POST-2020 DEFORESTATION CHECK (optional)
+///////////////////////////////////////
+/*
+Intersects the majority-forest mask (see MAJORITY_THRESHOLD / AGREEMENT_BAND) with a forest-loss source.
+Each polygon gets loss_ha (lost majority forest, ha), loss_pct (% of its majority forest lost) and
+loss_first (date of the first loss in the window). A "Forest Loss" layer is added to the map.
+Sources:
+  'Hansen'  - Hansen Global Forest Change, lossyear 2001-2024, global, 30 m, yearly (loss_first = year)
+  'RADD'    - RADD radar alerts, humid tropics, 10 m, daily
+  'GLAD_S2' - GLAD Sentinel-2 alerts, Amazon basin, 10 m, daily
+*/
+
+var LOSS_CHECK = false;           // true = run the check
+var LOSS_SOURCE = 'Hansen';       // Options: 'Hansen', 'RADD', 'GLAD_S2'
+var LOSS_START = '2021-01-01';    // first day of the window (EUDR cut-off: 31 December 2020)
+var LOSS_END = '2024-12-31';      // last day of the window
+
+
+///////////////////////////////////////
+// PART 0G: CRS (PROJECTION) OF THE EXPORTS
+///////////////////////////////////////
+/*
+Each cluster is exported in the UTM zone it lies in (Norway/Svalbard special zones and the hemispheres included).
+Clusters that span several UTM zones or both hemispheres are either
+- 'split'      → exported as one file per zone, each in its own UTM CRS, or
+- 'equal-area' → exported as one file in EQUAL_AREA_CRS (also used north of 84°N / south of 80°S).
+FORCE_CRS exports everything in one CRS of your choice. The CRS used is logged in the Console,
+in the properties of Asset exports and in the polygon table (stats_crs);
+the polygon statistics use the equal-area CRS whenever the clusters span several zones.
+*/
+var FORCE_CRS = null;               // e.g. 'EPSG:32630' or 'EPSG:3035'; null = choose automatically
+var MULTI_ZONE_CRS = 'split';       // 'split' or 'equal-area'
+var EQUAL_AREA_CRS = 'EPSG:6933';   // WGS 84 / EASE-Grid 2.0 Global (equal-area)
+
+
+///////////////////////////////////////
+// PART 0H: SENSITIVITY ANALYSIS (optional)
+///////////////////////////////////////
+/*
+Answers "how do the results depend on the parameters?" in one run. For every combination of the value lists
+below, the agreement is rebuilt and one long-format table is exported (SensitivityAnalysis_<year>):
+the PART 9 extent summary (scope 'extent': forest area per dataset and the majority forest) and the
+majority-forest share of every polygon that passes the 0.5 ha check (scope 'polygon',
+item = PLOT_ID_FIELD or plot_idx, forest_pct = forestagree).
+Columns: run, sieve_px, radius, height_min, majority, current (= the PART 0 values), scope, item, forest_ha, forest_pct.
+- An empty list keeps the PART 0 value.
+- One agreement is built per SIEVE_PIXELS × RADIUS × HEIGHT_MIN combination (at most 48); the MAJORITY values reuse it.
+- SENSITIVITY_SIEVE_PIXELS only has an effect with SIEVE_MODE = 'pixels'.
+- The defaults sweep FOREST_HEIGHT_MIN only (4 agreements); fill the other lists to combine parameters,
+  e.g. SIEVE_PIXELS [3, 6, 12], RADIUS [1, 2], MAJORITY [6, 7, 8, 9].
+- Majority forest is counted on the agreement band (number of maps), also when AGREEMENT_BAND = 'weighted'.
+*/
+var SENSITIVITY_MODE = false;                // true = compute and export the sensitivity table
+var SENSITIVITY_SIEVE_PIXELS = [];          // SIEVE_THRESHOLD_PIXELS values
+var SENSITIVITY_RADIUS = [];                // AGREEMENT_RADIUS values
+var SENSITIVITY_HEIGHT_MIN = [2, 5, 10, 15]; // FOREST_HEIGHT_MIN values (meters)
+var SENSITIVITY_MAJORITY = [];              // MAJORITY_THRESHOLD values (number of maps)
+
 
 
 
@@ -86,25 +295,229 @@ var EXPORT_FORMAT = 'SHP';
 ///////////////////////////////////////
 
 
+// CHECK: input source
+if (['Asset', 'GeoJSON', 'CSV'].indexOf(INPUT_SOURCE) === -1) {
+  throw new Error('ERROR: INPUT_SOURCE must be "Asset", "GeoJSON" or "CSV", got "' + INPUT_SOURCE + '".');
+}
+
 // CHECK: placeholder
-if (SHAPEFILE_PATH.indexOf('your_geodata_here') !== -1) {
+if (INPUT_SOURCE === 'Asset' && SHAPEFILE_PATH.indexOf('your_geodata_here') !== -1) {
   throw new Error(
     'ERROR: Please specify your shapefile from uploaded to "assets" by setting the variable SHAPEFILE_PATH before running the script.'
   );
 }
+if (INPUT_SOURCE !== 'Asset' && !INPUT_TEXT) {
+  throw new Error('ERROR: INPUT_SOURCE = "' + INPUT_SOURCE + '" needs the plot geometries pasted into INPUT_TEXT.');
+}
 
-// CHECK: Geodata type consistency
-var shp_data = ee.FeatureCollection(SHAPEFILE_PATH);
-var firstFeature = shp_data.first();
-var actualType = firstFeature.geometry().type().getInfo();
+// CHECK: agreement band
+if (AGREEMENT_BAND !== 'agreement' && AGREEMENT_BAND !== 'weighted') {
+  throw new Error('ERROR: AGREEMENT_BAND must be either "agreement" or "weighted", got "' + AGREEMENT_BAND + '".');
+}
 
-if (actualType !== GEODATA_TYPE) {
-  throw new Error(
-    'ERROR: GEODATA_TYPE does not match the shapefile geometry.\n' +
-    'Selected: ' + GEODATA_TYPE + ', Actual: ' + actualType
-  );
+// CHECK: Geodata type setting
+if (['Auto', 'Polygon', 'Point'].indexOf(GEODATA_TYPE) === -1) {
+  throw new Error('ERROR: GEODATA_TYPE must be "Auto", "Polygon" or "Point", got "' + GEODATA_TYPE + '".');
 }
 
+// Shared module (see PART 0C)
+var fal = require(MODULE_PATH);
+
+// CHECK: aggregation mode; 'native' runs on the 10 m grid instead of TARGET_RESOLUTION
+if (fal.AGGREGATION_MODES.indexOf(AGGREGATION_MODE) === -1) {
+  throw new Error('ERROR: AGGREGATION_MODE must be "resample", "fraction" or "native", got "' + AGGREGATION_MODE + '".');
+}
+// Resolution of this run (TARGET_RESOLUTION itself stays as set in PART 0 and is recorded in the manifest)
+var resolution = TARGET_RESOLUTION;
+if (AGGREGATION_MODE === 'native' && resolution !== fal.NATIVE_RESOLUTION) {
+  print('ℹ️ AGGREGATION_MODE = "native": this run uses ' + fal.NATIVE_RESOLUTION + ' m instead of TARGET_RESOLUTION.');
+  resolution = fal.NATIVE_RESOLUTION;
+}
+
+// CHECK: sieve mode
+if (fal.SIEVE_MODES.indexOf(SIEVE_MODE) === -1) {
+  throw new Error('ERROR: SIEVE_MODE must be "pixels", "class" or "forest", got "' + SIEVE_MODE + '".');
+}
+if (!(SIEVE_MMU_HA > 0) || !(SIEVE_ITERATIONS >= 1)) {
+  throw new Error('ERROR: SIEVE_MMU_HA must be > 0 (hectares) and SIEVE_ITERATIONS at least 1.');
+}
+
+var SCRIPT_VERSION = 'GEE_forest_agreement_GEODATA_v1.0 (12.12.2025)';
+
+// PART 0 settings of this run (recorded in the run manifest, PART 8)
+var PART0_SETTINGS = {
+  TARGET_RESOLUTION: TARGET_RESOLUTION, SIEVE_THRESHOLD_PIXELS: SIEVE_THRESHOLD_PIXELS,
+  SIEVE_MODE: SIEVE_MODE, SIEVE_MMU_HA: SIEVE_MMU_HA, SIEVE_ITERATIONS: SIEVE_ITERATIONS, FOREST_HEIGHT_MIN: FOREST_HEIGHT_MIN,
+  REFERENCE_YEAR: REFERENCE_YEAR, AGREEMENT_BAND: AGREEMENT_BAND, MAJORITY_THRESHOLD: MAJORITY_THRESHOLD,
+  WEIGHTED_SCALE: WEIGHTED_SCALE, WEIGHTED_MAJORITY: WEIGHTED_MAJORITY, DATASET_WEIGHTS: DATASET_WEIGHTS,
+  AGREEMENT_RADIUS: AGREEMENT_RADIUS, NORMALIZE_BY_COVERAGE: NORMALIZE_BY_COVERAGE,
+  AGGREGATION_MODE: AGGREGATION_MODE, AGGREGATION_CRS: AGGREGATION_CRS, FOREST_FRACTION_MIN: FOREST_FRACTION_MIN,
+  FOREST_FRACTION_BY_DATASET: FOREST_FRACTION_BY_DATASET, GEODATA_TYPE: GEODATA_TYPE, BUFFER_HA: BUFFER_HA,
+  INPUT_SOURCE: INPUT_SOURCE,
+  SHAPEFILE_PATH: SHAPEFILE_PATH, INPUT_TEXT: INPUT_TEXT, CSV_LAT_FIELD: CSV_LAT_FIELD, CSV_LON_FIELD: CSV_LON_FIELD,
+  CSV_WKT_FIELD: CSV_WKT_FIELD, PLOT_ID_FIELD: PLOT_ID_FIELD, CLUSTER_DISTANCE_M: CLUSTER_DISTANCE_M,
+  CLUSTER_SHAPE: CLUSTER_SHAPE, CLUSTER_MARGIN_M: CLUSTER_MARGIN_M, EXPORT_TARGET: EXPORT_TARGET,
+  EXPORT_ASSET_ID: EXPORT_ASSET_ID, EXPORT_FOLDER: EXPORT_FOLDER, EXPORT_DESCRIPTION: EXPORT_DESCRIPTION,
+  GCS_BUCKET: GCS_BUCKET, GCS_PREFIX: GCS_PREFIX, BIGQUERY_DATASET: BIGQUERY_DATASET, EXPORT_FORMAT: EXPORT_FORMAT,
+  EXPORT_AGREEMENT_BITS: EXPORT_AGREEMENT_BITS, DATASET_FLAG_MIN_PCT: DATASET_FLAG_MIN_PCT, EXPORT_PROFILE: EXPORT_PROFILE,
+  EXPORT_FOREST_TYPE: EXPORT_FOREST_TYPE,
+  MODULE_PATH: MODULE_PATH, DROP_DATASETS: DROP_DATASETS, ADD_DATASETS: ADD_DATASETS,
+  HIGH_AGREEMENT_MIN: HIGH_AGREEMENT_MIN, RISK_RULES: RISK_RULES, LOSS_CHECK: LOSS_CHECK, LOSS_SOURCE: LOSS_SOURCE,
+  LOSS_START: LOSS_START, LOSS_END: LOSS_END, FORCE_CRS: FORCE_CRS, MULTI_ZONE_CRS: MULTI_ZONE_CRS,
+  EQUAL_AREA_CRS: EQUAL_AREA_CRS, SENSITIVITY_MODE: SENSITIVITY_MODE, SENSITIVITY_SIEVE_PIXELS: SENSITIVITY_SIEVE_PIXELS,
+  SENSITIVITY_RADIUS: SENSITIVITY_RADIUS, SENSITIVITY_HEIGHT_MIN: SENSITIVITY_HEIGHT_MIN,
+  SENSITIVITY_MAJORITY: SENSITIVITY_MAJORITY
+};
+
+// CHECK: risk rules
+fal.validateRules(RISK_RULES);
+// CHECK: cluster settings
+if (CLUSTER_SHAPE !== 'hull' && CLUSTER_SHAPE !== 'bounds') {
+  throw new Error('ERROR: CLUSTER_SHAPE must be either "hull" or "bounds", got "' + CLUSTER_SHAPE + '".');
+}
+if (!(CLUSTER_DISTANCE_M > 0) || !(CLUSTER_MARGIN_M >= 0)) {
+  throw new Error('ERROR: CLUSTER_DISTANCE_M must be > 0 and CLUSTER_MARGIN_M >= 0 (meters).');
+}
+
+// Export targets (PART 0B); unknown targets or missing bucket names stop here, before any task is created
+var exportSettings = {
+  target: EXPORT_TARGET, folder: EXPORT_FOLDER, bucket: GCS_BUCKET, prefix: GCS_PREFIX,
+  bigQueryDataset: BIGQUERY_DATASET
+};
+fal.checkExportSettings(exportSettings);
+
+// CHECK: export profile
+if (EXPORT_PROFILE !== 'agreement' && EXPORT_PROFILE !== 'multiband') {
+  throw new Error('ERROR: EXPORT_PROFILE must be either "agreement" or "multiband", got "' + EXPORT_PROFILE + '".');
+}
+
+// CHECK: CRS settings
+if (MULTI_ZONE_CRS !== 'split' && MULTI_ZONE_CRS !== 'equal-area') {
+  throw new Error('ERROR: MULTI_ZONE_CRS must be either "split" or "equal-area", got "' + MULTI_ZONE_CRS + '".');
+}
+
+// CHECK: loss source
+if (LOSS_CHECK && !fal.LOSS_SOURCES[LOSS_SOURCE]) {
+  throw new Error('ERROR: LOSS_SOURCE must be one of ' + Object.keys(fal.LOSS_SOURCES).join(', ') +
+                  ', got "' + LOSS_SOURCE + '".');
+}
+
+// Load the geodata: asset, or pasted GeoJSON/CSV text parsed with the shared module
+var shp_data;
+var parseErrors = ee.FeatureCollection([]);
+if (INPUT_SOURCE === 'Asset') {
+  shp_data = ee.FeatureCollection(SHAPEFILE_PATH);
+} else {
+  var parsedInput = fal.parsePlotText(INPUT_SOURCE, INPUT_TEXT, {
+    latField: CSV_LAT_FIELD, lonField: CSV_LON_FIELD, wktField: CSV_WKT_FIELD
+  });
+  print('Input text (' + parsedInput.layout + '): ' + parsedInput.count + ' features read, ' +
+        parsedInput.errorCount + ' rows rejected');
+  if (parsedInput.errorCount > 0) print('Rejected input rows:', parsedInput.errors);
+  if (parsedInput.count === 0) {
+    throw new Error('ERROR: No plot geometry could be read from INPUT_TEXT. See the rejected rows above.');
+  }
+  shp_data = parsedInput.collection;
+  parseErrors = parsedInput.errors.map(function(f) {
+    return f.set('val_status', 'parse_error', 'val_note', f.get('parse_error'));
+  });
+}
+
+// plot_idx: stable key of every input feature (its index on loading). system:index is renumbered
+// once polygons and buffered points are merged, so plot_idx is the key of the result tables.
+shp_data = shp_data.map(function(f) {
+  return f.set('plot_idx', f.get('system:index'));
+});
+
+
+// --- Per-feature validation ---
+// Adds to every feature:
+//   val_type   - geometry type (Point, MultiPoint, Polygon, MultiPolygon, ...)
+//   val_status - 'ok', 'unsupported' (lines, collections), 'type_mismatch' (not GEODATA_TYPE),
+//                'empty' (no geometry, area or coordinates) or 'invalid' (e.g. self-intersecting)
+//   val_note   - explanation, plus "duplicate plot ID" / "missing plot ID" when PLOT_ID_FIELD is set
+// Only features with val_status 'ok' are assessed; duplicate IDs are reported but kept.
+var POINT_TYPES = ee.List(['Point', 'MultiPoint']);
+var POLYGON_TYPES = ee.List(['Polygon', 'MultiPolygon']);
+
+var validateGeometry = function(feature) {
+  var geom = feature.geometry();
+  var type = geom.type();
+  var isPoint = POINT_TYPES.contains(type);
+  var isPolygon = POLYGON_TYPES.contains(type);
+  var kind = ee.String(ee.Algorithms.If(isPoint, 'point', ee.Algorithms.If(isPolygon, 'polygon', 'other')));
+
+  var expected = (GEODATA_TYPE === 'Point') ? 'point' : (GEODATA_TYPE === 'Polygon') ? 'polygon' : kind;
+
+  // Empty: polygon without area, point without coordinates
+  var area = ee.Number(ee.Algorithms.If(isPolygon, geom.area(1), 0));
+  var isEmpty = ee.Algorithms.If(isPolygon, area.lte(0), geom.coordinates().size().eq(0));
+
+  // Invalid (heuristic): a self-intersecting or overlapping polygon changes area when its parts are dissolved
+  var isInvalid = ee.Algorithms.If(isPolygon,
+    area.subtract(geom.dissolve(1).area(1)).abs().gt(area.multiply(0.01)),
+    false);
+
+  var status = ee.Algorithms.If(kind.equals('other'), 'unsupported',
+               ee.Algorithms.If(kind.equals(expected),
+                 ee.Algorithms.If(isEmpty, 'empty',
+                 ee.Algorithms.If(isInvalid, 'invalid', 'ok')),
+               'type_mismatch'));
+  var note = ee.Dictionary({
+    'unsupported': 'Geometry type not supported (use points or polygons)',
+    'type_mismatch': 'Geometry type does not match GEODATA_TYPE = ' + GEODATA_TYPE,
+    'empty': 'Empty geometry',
+    'invalid': 'Invalid geometry (self-intersecting or overlapping parts)',
+    'ok': ''
+  }).get(status);
+
+  return feature.set({
+    'val_type': type,
+    'val_kind': kind,
+    'val_status': status,
+    'val_note': note
+  });
+};
+
+// Features without any geometry (e.g. rows of a table asset) are 'empty' and never reach validateGeometry
+var validateFeature = function(feature) {
+  return ee.Feature(ee.Algorithms.If(ee.Algorithms.IsEqual(feature.geometry(), null),
+    feature.set({
+      'val_type': 'None',
+      'val_kind': 'other',
+      'val_status': 'empty',
+      'val_note': 'Empty geometry (feature has no geometry)'
+    }),
+    validateGeometry(feature)));
+};
+
+// Duplicate / missing plot IDs (only when PLOT_ID_FIELD is set); the IDs are counted once for the collection
+var checkPlotIds = function(fc) {
+  if (!PLOT_ID_FIELD) return fc;
+  var idCounts = fc.aggregate_histogram(PLOT_ID_FIELD);
+  return fc.map(function(f) {
+    var id = f.get(PLOT_ID_FIELD);
+    var missing = ee.Algorithms.IsEqual(id, null);
+    var duplicate = ee.Algorithms.If(missing, false, ee.Number(idCounts.get(ee.String(id), 0)).gt(1));
+    var idNote = ee.Algorithms.If(missing, 'missing plot ID',
+                 ee.Algorithms.If(duplicate, 'duplicate plot ID', ''));
+    var note = ee.String(f.get('val_note'));
+    note = ee.Algorithms.If(ee.String(idNote).length().eq(0), note,
+           ee.Algorithms.If(note.length().eq(0), idNote, note.cat('; ').cat(idNote)));
+    return f.set('val_note', note);
+  });
+};
+
+var validated = checkPlotIds(shp_data.map(validateFeature));
+
+// Validation report (one row per input feature, no geometry), plus input rows that could not be parsed
+var validationReport = validated.map(function(f) {
+  return ee.Feature(null, f.toDictionary()).set('feature_id', f.get('system:index'));
+}).merge(parseErrors);
+print('Validation - features per status:', validated.aggregate_histogram('val_status'));
+print('Validation - features per geometry type:', validated.aggregate_histogram('val_type'));
+print('Validation - features with notes (first 20):',
+      validationReport.filter(ee.Filter.neq('val_note', '')).limit(20));
 
 
 // Function to buffer points by 0.5 ha
@@ -112,169 +525,152 @@ var bufferPoints = function(fc) {
   var buffer_m2 = BUFFER_HA * 10000; // ha -> m²
   var buffer_radius_m = Math.sqrt(buffer_m2 / Math.PI);
   print('Buffer radius in meters:', buffer_radius_m);
-  print('Buffer radius in pixels:', buffer_radius_m / TARGET_RESOLUTION);
+  print('Buffer radius in pixels:', buffer_radius_m / resolution);
   
   return fc.map(function(f) {
-    return f.buffer(buffer_radius_m);
+    // Points with their own area (buffer_ha, e.g. EUDR "Area") use it instead of BUFFER_HA
+    var radius = ee.Number(ee.Algorithms.If(f.get('buffer_ha'),
+      ee.Number(f.get('buffer_ha')).multiply(10000).divide(Math.PI).sqrt(),
+      buffer_radius_m));
+    return f.buffer(radius);
   });
 };
 
-// Function to create cluster bounding boxes
-var clusterBoundingBoxes = function(fc) {
-  // Merge nearby features 
+// Function to group nearby plots: one feature per group with cluster_id (Cluster_1, Cluster_2, ...)
+var groupPlots = function(fc) {
+  // Merge nearby features: half the distance around every plot joins plots up to CLUSTER_DISTANCE_M apart
   var unioned = fc.map(function(f) {
-    return f.buffer(10000); // buffer to join nearby features
-  }).union().geometry(); // returns a single ee.Geometry
-  var clusterGeoms = ee.List(unioned.geometries());
-  return ee.FeatureCollection(
-    clusterGeoms.map(function(g){
-      return ee.Feature(ee.Geometry(g).bounds());
-    })
-  );
+    return f.buffer(CLUSTER_DISTANCE_M / 2, 1);
+  }).union(1).geometry(); // returns a single ee.Geometry
+  var groupGeoms = ee.List(unioned.geometries());
+  return ee.FeatureCollection(ee.List.sequence(0, groupGeoms.size().subtract(1)).map(function(i) {
+    return ee.Feature(ee.Geometry(groupGeoms.get(i)), {
+      'cluster_id': ee.String('Cluster_').cat(ee.Number(i).add(1).format('%d'))
+    });
+  }));
 };
 
-// Workflow based on GEODATA_TYPE
-var inputForClustering;
-if (GEODATA_TYPE === 'Point') {
-  // Step 1: buffer points
-  var bufferedPoints = bufferPoints(shp_data);
-  inputForClustering = bufferedPoints;
-} else if (GEODATA_TYPE === 'Polygon') {
-  inputForClustering = shp_data;
-} else {
-  throw 'GEODATA_TYPE must be either "Point" or "Polygon"';
-}
+// Function to create the cluster shapes (CLUSTER_SHAPE + CLUSTER_MARGIN_M) with plot_count,
+// plot_ids (PLOT_ID_FIELD, else plot_idx), plot_area_ha (overlaps counted once) and cluster_area_ha
+var clusterShapes = function(fc, groups) {
+  var idField = PLOT_ID_FIELD || 'plot_idx';
+  return groups.map(function(group) {
+    var members = fc.filterBounds(group.geometry());
+    var plots = members.geometry();
+    var shape = (CLUSTER_SHAPE === 'hull')
+      ? plots.convexHull(1).buffer(CLUSTER_MARGIN_M, 1)
+      : plots.bounds(1).buffer(CLUSTER_MARGIN_M, 1).bounds(1);
+    return ee.Feature(shape, {
+      'cluster_id': group.get('cluster_id'),
+      'plot_count': members.size(),
+      'plot_ids': members.aggregate_array(idField).join(', '),
+      'plot_area_ha': plots.area(1).divide(10000),
+      'cluster_area_ha': shape.area(1).divide(10000)
+    });
+  });
+};
 
-// Step 2: cluster bounding boxes
-var clusterBoundsFC = clusterBoundingBoxes(inputForClustering);
+// Workflow per feature: valid points are buffered, valid polygons are used directly
+var validFeatures = validated.filter(ee.Filter.eq('val_status', 'ok'));
+var validPolygons = validFeatures.filter(ee.Filter.eq('val_kind', 'polygon'));
+var validPoints = validFeatures.filter(ee.Filter.eq('val_kind', 'point'));
+
+// Step 1: buffer points (only when points may occur)
+var bufferedPoints = (GEODATA_TYPE === 'Polygon') ? ee.FeatureCollection([]) : bufferPoints(validPoints);
+
+// shp_data from here on = all assessed features (polygons + buffered points)
+shp_data = validPolygons.merge(bufferedPoints);
+var inputForClustering = shp_data;
+
+// Step 2: clusters of nearby plots, and the cluster ID written onto every plot
+var clusterGroups = groupPlots(inputForClustering);
+var clusterBoundsFC = clusterShapes(inputForClustering, clusterGroups);
+// (one spatial join instead of a cluster filter per plot; every plot lies within its own group)
+shp_data = ee.Join.saveFirst('cluster_group').apply({
+  primary: shp_data,
+  secondary: clusterGroups,
+  condition: ee.Filter.intersects({leftField: '.geo', rightField: '.geo', maxError: 1})
+}).map(function(f) {
+  return f.select(f.propertyNames().remove('cluster_group'))
+    .set('cluster_id', ee.Feature(f.get('cluster_group')).get('cluster_id'));
+});
+print('Clusters (plots up to ' + CLUSTER_DISTANCE_M + ' m apart):',
+      clusterBoundsFC.select(['cluster_id', 'plot_count', 'plot_ids', 'plot_area_ha', 'cluster_area_ha']));
 
 // All clusters combined as ROI for loading datasets
 var roi = clusterBoundsFC.geometry();
 
-// Changes the shp_data to use the buffered points
-if (GEODATA_TYPE === 'Point') { 
-  shp_data = bufferedPoints;
-}
-
 
 
 
 ///////////////////////////////////////
-// PART 2: FOREST CLASS DEFINITIONS
-///////////////////////////////////////
-
-var forestClasses = {
-  'JRC': ee.List([1]),
-  'ESRI_LULC': ee.List([2]),
-  'DynamicWorld': ee.List([1]),
-  'GLCFCS30D': ee.List([51,52,61,62,71,72,81,82,91,92]),
-  'GLC10': ee.List([20]),
-  'GLCLU': ee.List([1,3,4]),
-  'PALSAR': ee.List([1,2]),
-  'GFT': ee.List([1,10]),
-  'ETH': ee.List.sequence(FOREST_HEIGHT_MIN, 255)
-};
-
-///////////////////////////////////////
-// PART 3: FUNCTIONS
+// PART 2-6: FOREST AGREEMENT LAYER (SHARED MODULE)
 ///////////////////////////////////////
+// Forest class definitions, reclassification, dataset loading, the agreement sum and the
+// small-patch filter are defined once in src/module/GEE_forest_agreement_MODULE_v1.0.js
+// and shared with the ROI script (loaded in PART 1 as "fal").
+
+var agreement = fal.buildAgreement(roi, {
+  targetResolution: resolution,
+  sieveThresholdPixels: SIEVE_THRESHOLD_PIXELS,
+  sieveMode: SIEVE_MODE,
+  sieveMmuHa: SIEVE_MMU_HA,
+  sieveForestMin: MAJORITY_THRESHOLD,
+  sieveIterations: SIEVE_ITERATIONS,
+  forestHeightMin: FOREST_HEIGHT_MIN,
+  agreementRadius: AGREEMENT_RADIUS,
+  referenceYear: REFERENCE_YEAR,
+  weights: DATASET_WEIGHTS,
+  weightedScale: WEIGHTED_SCALE,
+  dropDatasets: DROP_DATASETS,
+  addDatasets: ADD_DATASETS,
+  normalizeByCoverage: NORMALIZE_BY_COVERAGE,
+  aggregation: AGGREGATION_MODE,
+  gridCrs: AGGREGATION_CRS,
+  fractionThreshold: FOREST_FRACTION_MIN,
+  fractionThresholds: FOREST_FRACTION_BY_DATASET
+});
 
-// Binary forest/non-forest reclassification
-function reclassifyImage(image, classes) {
-  return image.remap(classes, ee.List.repeat(1, classes.length()), 0)
-              .unmask(0)
-              .rename('Landcover');
+var reclassifiedList = agreement.masks;                          // per-dataset binary forest masks, registry order
+var forestAgreement = agreement.raw;                             // number of maps agreeing on forest (0-N)
+// CHECK: majority threshold within 1..number of datasets
+if (!(MAJORITY_THRESHOLD >= 1 && MAJORITY_THRESHOLD <= agreement.count)) {
+  throw new Error('ERROR: MAJORITY_THRESHOLD must be between 1 and ' + agreement.count +
+                  ' (number of datasets), got "' + MAJORITY_THRESHOLD + '".');
 }
 
-// Reproject and resample (done prior to bitwise operations)
-function reprojectAndResample(image) {
-  return image
-    .reproject({crs: 'EPSG:4326', scale: TARGET_RESOLUTION})
-    .resample()
-    ;
-}
+// Value lists of the sensitivity analysis (PART 0H), keyed by module option
+var SENSITIVITY_LISTS = {
+  sieveThresholdPixels: SENSITIVITY_SIEVE_PIXELS,
+  agreementRadius: SENSITIVITY_RADIUS,
+  forestHeightMin: SENSITIVITY_HEIGHT_MIN,
+  majorityThreshold: SENSITIVITY_MAJORITY
+};
+// CHECK: sensitivity lists (PART 0H), before any export task is created
+if (SENSITIVITY_MODE) fal.sensitivityGroups(agreement, SENSITIVITY_LISTS, MAJORITY_THRESHOLD);
 
-// Filter and mosaic 
-function filterAndMosaic(collectionId, startDate, endDate) {
-  var c = ee.ImageCollection(collectionId).filterBounds(roi);
-  if (startDate && endDate) c = c.filterDate(startDate, endDate);
-  var m = c.mosaic();
-  return m.clip(roi);
-}
+var forestAgreementFiltered = agreement.filtered.clip(roi);      // small patches reassigned
 
-///////////////////////////////////////
-// PART 4: LOAD DATASETS
-///////////////////////////////////////
-// Each dataset clipped to ROI 
-
-// JRC (10m) 2020 [Bourgoin et al., 2024]
-var jrc_2020 = filterAndMosaic("JRC/GFC2020/V2").clip(roi);
-
-// ESRI-LULC (10m) 2020 [Karra et al. 2021]
-var esri_lulc_2020 = filterAndMosaic("projects/sat-io/open-datasets/landcover/ESRI_Global-LULC_10m_TS",
-                                     '2020-01-01','2020-12-31').clip(roi);
-
-// Dynamic World (10m) 2020 [Brown et al. 2022]                                     
-var dw_mode = ee.ImageCollection('GOOGLE/DYNAMICWORLD/V1')
-  .filterBounds(roi).filterDate('2020-01-01','2020-12-31')
-  .select('label').reduce(ee.Reducer.mode()).clip(roi);
-
-// GLC-FCS30D Global Land Cover (30m) 2020 [Liu et al. 2020]  
-var GLCFCS30D_2020 = ee.ImageCollection("projects/sat-io/open-datasets/GLC-FCS30D/annual")
-  .select('b21').filterBounds(roi).reduce(ee.Reducer.mean()).clip(roi);
-
-// FROM-GLC10 (10m) 2017 [Gong et al. 2019]  
-var GLC10_2017 = filterAndMosaic("projects/sat-io/open-datasets/FROM-GLC10");
-
-// GLCLUC2020 - Forest Extent 2020 [Potapov et al., 2022]
-var landmask = ee.Image("projects/glad/OceanMask").lte(1);
-var GLCLU_2020 = ee.Image('projects/glad/GLCLU2020/Forest_type')
-  .clip(roi).updateMask(landmask);
-
-// Global 4-class PALSAR-2 (25m) 2020 [Shimada et al. 2014]  
-var jaxa_2020 = filterAndMosaic('JAXA/ALOS/PALSAR/YEARLY/FNF4','2020-01-01').clip(roi);
-
-// Global Canopy height (10m) 2020 [Lang et al., 2023]
-var ETH_2020 = ee.Image('users/nlang/ETH_GlobalCanopyHeight_2020_10m_v1').clip(roi);
-
-// Global Forest Types (10m) 2020, v0 [Bourgoin et al., 2024]
-var GFT2020 = filterAndMosaic('JRC/GFC2020_subtypes/V0');
-// 1 - Naturally regenerating forest
-// 10 - Primary forest
-// 20 - Planted/Plantation forest
-
-
-///////////////////////////////////////////
-// PART 5: RECLASSIFICATION + REPROJECTION
-//////////////////////////////////////////
-
-var reclassifiedList = [
-  reprojectAndResample(reclassifyImage(jrc_2020, forestClasses['JRC'])),
-  reprojectAndResample(reclassifyImage(esri_lulc_2020, forestClasses['ESRI_LULC'])),
-  reprojectAndResample(reclassifyImage(dw_mode, forestClasses['DynamicWorld'])),
-  reprojectAndResample(reclassifyImage(GLCFCS30D_2020, forestClasses['GLCFCS30D'])),
-  reprojectAndResample(reclassifyImage(GLC10_2017, forestClasses['GLC10'])),
-  reprojectAndResample(reclassifyImage(GLCLU_2020, forestClasses['GLCLU'])),
-  reprojectAndResample(reclassifyImage(jaxa_2020, forestClasses['PALSAR'])),
-  reprojectAndResample(reclassifyImage(ETH_2020, forestClasses['ETH'])),
-  reprojectAndResample(reclassifyImage(GFT2020, forestClasses['GFT'])) 
-];
+// Weighted consensus (0–WEIGHTED_SCALE), small patches replaced like in the filtered layer
+var weightedAgreementFiltered = agreement.weightedFiltered.clip(roi);
+
+// Majority forest (1/0) from the band chosen in AGREEMENT_BAND, used in the summaries below
+var majority = {band: AGREEMENT_BAND, threshold: (AGREEMENT_BAND === 'weighted') ? WEIGHTED_MAJORITY : MAJORITY_THRESHOLD};
+var majorityForest = fal.majorityMask(agreement, majority.band, majority.threshold).clip(roi);
+var majorityLabel = (AGREEMENT_BAND === 'weighted')
+  ? 'Weighted consensus >= ' + WEIGHTED_MAJORITY
+  : 'Forest agreement >= ' + MAJORITY_THRESHOLD + ' maps';
 
+// Forest type within the majority forest (GFT subtypes + GLCLU forest types, see EXPORT_FOREST_TYPE)
+var forestType = fal.forestTypeImage(agreement, roi, majorityForest);
 
-/////////////////////////////////////////////
-// PART 6: FOREST AGREEMENT LAYER (FULL ROI)
-////////////////////////////////////////////
+// Edition (year) each dataset actually uses for REFERENCE_YEAR
+print('Dataset editions used for reference year ' + REFERENCE_YEAR + ':', agreement.editions);
 
-// Combine all 9 reclassified forest masks
-var forestAgreement = ee.ImageCollection(reclassifiedList)
-  .reduce(ee.Reducer.sum())
-  .rename('agreement')
-  ;
+// Output names carry the reference year, e.g. ForestAgreement_2020
+var exportName = EXPORT_DESCRIPTION + '_' + REFERENCE_YEAR;
+var exportAssetId = EXPORT_ASSET_ID + '_' + REFERENCE_YEAR;
 
-// Filter out small patches and reassign
-var smallPatches = forestAgreement.connectedPixelCount(8).lt(SIEVE_THRESHOLD_PIXELS);
-var majorityClass = forestAgreement.focalMode(AGREEMENT_RADIUS, 'square', 'pixels');
-var forestAgreementFiltered = forestAgreement.where(smallPatches, majorityClass).clip(roi);
 
 
 ///////////////////////////////////////
@@ -282,11 +678,20 @@ var forestAgreementFiltered = forestAgreement.where(smallPatches, majorityClass)
 ///////////////////////////////////////
 // To prevent memory overload, the user can visualize only one cluster, the first (in case of multiple polygons spread out through certain landscape)
 
+// Palette for 0–N agreement values (N = number of datasets in the registry)
+var palette = fal.agreementPalette(agreement.count);
+var labels = fal.agreementLabels(agreement.count);
+
+// Forest type layer: codes 1 / 10 / 20 / 99 shown as light green / dark green / orange / gray
+var FOREST_TYPE_VIS = {min: 1, max: 4, palette: ['#90EE90', '#006400', '#FFA500', '#A9A9A9']};
+function forestTypeVisLayer(image) {
+  return image.remap([1, 10, 20, 99], [1, 2, 3, 4]).selfMask();
+}
+
 var visParams = {
   min: 0,
-  max: 9,
-  palette: ['#D3D3D3', '#FF0000', '#F08080', '#FFA500', '#FFD580',
-            '#FFFF00', '#CCCC00', '#90EE90', '#32CD32', '#006400']
+  max: agreement.count,
+  palette: palette
 };
 
 // --- 1️⃣ Visualize cluster, shapefile polygons, and both forest agreement versions ---
@@ -296,10 +701,23 @@ clusterBoundsFC.evaluate(function(fc){
     var clusterGeom = firstCluster.geometry();
     var forestRawClip = forestAgreement.clip(clusterGeom);
     var forestFilteredClip = forestAgreementFiltered.clip(clusterGeom);
+    var weightedClip = weightedAgreementFiltered.clip(clusterGeom);
+    var agreeingMapsClip = agreement.bits.addBands(agreement.votes).clip(clusterGeom);
     Map.centerObject(clusterGeom, 12);
     
     Map.addLayer(forestRawClip, visParams, 'Forest Agreement (Raw) - Cluster 1');
     Map.addLayer(forestFilteredClip, visParams, 'Forest Agreement (Filtered) - Cluster 1');
+    Map.addLayer(weightedClip, {min: 0, max: WEIGHTED_SCALE, palette: fal.BASE_PALETTE},
+                 'Weighted Consensus (Filtered) - Cluster 1', AGREEMENT_BAND === 'weighted');
+    Map.addLayer(agreeingMapsClip, {bands: ['agree_bits'], min: 0, max: Math.pow(2, agreement.count) - 1},
+                 'Agreeing Maps (bits + per dataset) - Cluster 1', false);
+    // Number of datasets with valid data; dark = gaps that count as non-forest (see NORMALIZE_BY_COVERAGE)
+    Map.addLayer(agreement.coverage.clip(clusterGeom), {min: 0, max: agreement.count, palette: ['#000000', '#FFFFFF']},
+                 'Datasets with valid data (coverage) - Cluster 1', false);
+    Map.addLayer(agreement.changed.selfMask().clip(clusterGeom), {palette: ['#FF00FF']},
+                 'Changed by sieve filter - Cluster 1', false);
+    // Forest type: naturally regenerating (1), primary (10), planted (20), unknown (99)
+    Map.addLayer(forestTypeVisLayer(forestType).clip(clusterGeom), FOREST_TYPE_VIS, 'Forest Type - Cluster 1', false);
     Map.addLayer(clusterBoundsFC.style({
       color: 'black',
       fillColor: '00000000',
@@ -313,6 +731,11 @@ clusterBoundsFC.evaluate(function(fc){
   }
 });
 
+// Which maps agree (for the Inspector tab): agree_bits value plus one 0/1 band per dataset key
+print('Agreement bits (value: dataset):', agreement.names.map(function(name, i) {
+  return Math.pow(2, i) + ': ' + name;
+}));
+
 // --- Legend UI ---
 var legend = ui.Panel({
   style: {position: 'bottom-left', padding: '8px 15px'}
@@ -322,12 +745,6 @@ legend.add(ui.Label({
   style: {fontWeight: 'bold', fontSize: '16px'}
 }));
 
-var labels = ['0 maps', '1 map', '2 maps', '3 maps', '4 maps',
-              '5 maps', '6 maps', '7 maps', '8 maps', '9 maps'];
-
-var palette = ['#D3D3D3', '#FF0000', '#F08080', '#FFA500', '#FFD580',
-               '#FFFF00', '#CCCC00', '#90EE90', '#32CD32', '#006400'];
-
 var makeRow = function(color, name) {
   return ui.Panel({
     widgets: [
@@ -344,64 +761,74 @@ for (var i = 0; i < palette.length; i++) {
 }
 Map.add(legend);
 
+// Click-to-inspect panel: per-dataset native class and forest vote, agreement and ETH canopy height
+fal.addInspector(agreement, roi, {scale: resolution});
+
 
 ////////////////////////////////////////////////////////
-// PART 8: EXPORT FUNCTION (per cluster, with UTM zone)
+// PART 8: EXPORT FUNCTION (per cluster, with UTM zone or equal-area CRS)
 ///////////////////////////////////////////////////////
 
 
-// Compute best-fit UTM EPSG for given geometry
-function getUTMEPSG(geometry) {
-  var centroid = geometry.centroid(ee.ErrorMargin(1));
-  var lon = ee.Number(centroid.coordinates().get(0));
-  var lat = ee.Number(centroid.coordinates().get(1));
-  var utmZone = lon.add(180).divide(6).floor().add(1);
-  var epsg = ee.Algorithms.If(
-    lat.gt(0),
-    ee.String('EPSG:326').cat(utmZone.format('%02d')),
-    ee.String('EPSG:327').cat(utmZone.format('%02d'))
-  );
-  return ee.String(epsg);
+// CRS per cluster (PART 0G), chosen by fal.chooseCrs from the cluster bounds
+var crsOptions = {forceCrs: FORCE_CRS, multiZone: MULTI_ZONE_CRS, equalAreaCrs: EQUAL_AREA_CRS};
+
+// Files of one cluster (clusterFeature = client-side GeoJSON of the cluster): [{name, crs, bounds}] plus
+// the CRS choice. A cluster spanning several UTM zones gives one file per zone (MULTI_ZONE_CRS = 'split').
+function clusterParts(clusterFeature) {
+  var clusterName = clusterFeature.properties.cluster_id;
+  var choice = fal.chooseCrs(fal.ringBounds(clusterFeature.geometry.coordinates[0]), crsOptions);
+  choice.parts = choice.parts.map(function(part) {
+    return {
+      name: clusterName + (choice.parts.length > 1 ? '_' + part.crs.split(':')[1] : ''),
+      crs: part.crs,
+      bounds: part.bounds
+    };
+  });
+  return choice;
 }
 
-// Main export function per cluster
-function exportClusterGeoTIFF(image, clusterFeature, clusterIndex) {
-  var geom = clusterFeature.geometry();
-  var clipped = image.clip(geom).toInt16(); 
-  var clusterName = 'Cluster_' + (clusterIndex + 1);
-  var descriptionDrive = EXPORT_DESCRIPTION + '_' + clusterName + '_Drive';
-  var descriptionAsset = EXPORT_DESCRIPTION + '_' + clusterName + '_Asset';
-  var assetId = EXPORT_ASSET_ID + '_' + clusterName;
-
-  // Compute proper UTM CRS for this cluster
-  var epsg = getUTMEPSG(geom);
+// Main export function per cluster; manifestProps = run manifest properties set on Asset exports
+function exportClusterGeoTIFF(image, clusterFeature, clusterIndex, manifestProps) {
+  var geom = ee.Feature(clusterFeature).geometry();
+  var clipped = image.clip(geom);
+  var clusterName = clusterFeature.properties.cluster_id;
+  var choice = clusterParts(clusterFeature);
 
   // Check if cluster contains any valid pixels
   var pixelCount = clipped.reduceRegion({
     reducer: ee.Reducer.count(),
     geometry: geom,
-    scale: TARGET_RESOLUTION,
+    scale: resolution,
     maxPixels: 1e13
   }).values().get(0);
 
   // Evaluate pixel count client-side before exporting
   ee.Number(pixelCount).evaluate(function(count) {
     if (count && count > 0) {
-      epsg.evaluate(function(epsgStr) {
-        print('✅ Exporting', clusterName, 'with', count, 'pixels at', epsgStr);
+      choice.parts.forEach(function(part) {
+        var partName = part.name;
+        var partGeom = (choice.parts.length > 1) ? geom.intersection(ee.Geometry.Rectangle(part.bounds), 1) : geom;
+        var descriptionDrive = exportName + '_' + partName + '_Drive';
+        var descriptionAsset = exportName + '_' + partName + '_Asset';
+        var assetId = exportAssetId + '_' + partName;
+        print('✅ Exporting', partName, 'with', count, 'pixels at', part.crs + ' (' + choice.note + ')');
 
         if (EXPORT_TARGET === 'Drive') {
           // === Option: Export to Google Drive ===
           Export.image.toDrive({
-            image: clipped,
+            image: clipped.clip(partGeom),
             description: descriptionDrive,
             folder: EXPORT_FOLDER,
             fileNamePrefix: descriptionDrive,
-            region: geom,
-            scale: TARGET_RESOLUTION,
-            crs: epsgStr,
+            region: partGeom,
+            scale: resolution,
+            crs: part.crs,
             maxPixels: 1e13,
-            formatOptions: {
+            formatOptions: exportProfile ? {
+              cloudOptimized: true,
+              noData: exportProfile.noData
+            } : {
               cloudOptimized: true
             }
           });
@@ -410,14 +837,36 @@ function exportClusterGeoTIFF(image, clusterFeature, clusterIndex) {
           
           // === Option: Export to Earth Engine Asset ===
           Export.image.toAsset({
-            image: clipped,
+            image: clipped.clip(partGeom).set(manifestProps).set({
+              'export_crs': part.crs, 'crs_method': choice.method, 'crs_note': choice.note
+            }),
             description: descriptionAsset,
             assetId: assetId,
-            region: geom,
-            scale: TARGET_RESOLUTION,
-            crs: epsgStr,
+            region: partGeom,
+            scale: resolution,
+            crs: part.crs,
             maxPixels: 1e13
           });
+
+        } else if (EXPORT_TARGET === 'GCS') {
+
+          // === Option: Export to Google Cloud Storage ===
+          Export.image.toCloudStorage({
+            image: clipped.clip(partGeom),
+            description: exportName + '_' + partName + '_GCS',
+            bucket: GCS_BUCKET,
+            fileNamePrefix: fal.gcsPath(exportSettings, exportName + '_' + partName),
+            region: partGeom,
+            scale: resolution,
+            crs: part.crs,
+            maxPixels: 1e13,
+            formatOptions: exportProfile ? {
+              cloudOptimized: true,
+              noData: exportProfile.noData
+            } : {
+              cloudOptimized: true
+            }
+          });
         }
         
       });
@@ -430,10 +879,63 @@ function exportClusterGeoTIFF(image, clusterFeature, clusterIndex) {
 
 
 
+var exportProfile = null;
+var forestAgreementExport;
+if (EXPORT_PROFILE === 'multiband') {
+  // Export image bands: agreement_raw, agreement, f_<key> per dataset, coverage, sieve_changed, + weighted, + agree_bits, + forest_type; one type, no-data -1
+  exportProfile = fal.multibandExport(agreement, {weighted: AGREEMENT_BAND === 'weighted', bits: EXPORT_AGREEMENT_BITS,
+                                                  forestType: EXPORT_FOREST_TYPE ? forestType : null});
+  forestAgreementExport = exportProfile.image;
+} else {
+  // Export image bands: agreement, + weighted (AGREEMENT_BAND = 'weighted'), + agree_bits (EXPORT_AGREEMENT_BITS), + forest_type (EXPORT_FOREST_TYPE)
+  forestAgreementExport = forestAgreementFiltered;
+  if (AGREEMENT_BAND === 'weighted') forestAgreementExport = forestAgreementExport.addBands(weightedAgreementFiltered);
+  if (EXPORT_AGREEMENT_BITS) forestAgreementExport = forestAgreementExport.addBands(agreement.bits);
+  if (EXPORT_FOREST_TYPE) forestAgreementExport = forestAgreementExport.addBands(forestType);
+  // One data type for all bands: Float with the weighted score, else the smallest integer type that fits
+  forestAgreementExport = (AGREEMENT_BAND === 'weighted') ? forestAgreementExport.toFloat()
+    : EXPORT_AGREEMENT_BITS ? fal.castBits(forestAgreementExport, agreement.count)
+    : forestAgreementExport.toInt16();
+}
+
+// Style sidecar of the multi-band GeoTIFFs (band descriptions, legend, QGIS/SLD/ArcGIS styles)
+if (exportProfile) {
+  var sidecar = fal.exportSidecar(agreement, exportProfile, {
+    reference_year: REFERENCE_YEAR, resolution_m: resolution, files: exportName + '_Cluster_*'
+  });
+  fal.exportTable(fal.sidecarFeature(sidecar), exportName + '_style', exportSettings, {fileFormat: 'GeoJSON'});
+  print('🎨 QGIS style (save as .qml next to the GeoTIFFs, legend on band ' + sidecar.legend_band + '):', sidecar.qml);
+}
+
 // --- Trigger exports for all clusters ---
 clusterBoundsFC.evaluate(function(fc) {
+  // Run manifest: settings, images used per dataset and the CRS of every cluster file, next to the
+  // GeoTIFFs (JSON + CSV) and as properties of Asset exports. Clusters without valid pixels are
+  // listed but not exported (see the Console).
+  var manifestExports = [];
+  fc.features.forEach(function(f) {
+    var choice = clusterParts(f);
+    choice.parts.forEach(function(part) {
+      manifestExports.push({
+        name: exportName + '_' + part.name, target: EXPORT_TARGET, cluster_id: f.properties.cluster_id,
+        plot_count: f.properties.plot_count, plot_ids: f.properties.plot_ids, crs: part.crs,
+        crs_method: choice.method, crs_note: choice.note, bounds: part.bounds
+      });
+    });
+  });
+  var manifest = fal.runManifest(agreement, roi, {
+    script: SCRIPT_VERSION,
+    input: (INPUT_SOURCE === 'Asset') ? 'Asset: ' + SHAPEFILE_PATH : INPUT_SOURCE + ' text (INPUT_TEXT)',
+    settings: PART0_SETTINGS,
+    exports: manifestExports
+  });
+  var manifestProps = fal.manifestProperties(manifest);
+  fal.exportTable(fal.manifestFeature(manifest), exportName + '_Manifest', exportSettings, {fileFormat: 'GeoJSON'});
+  fal.exportTable(fal.manifestTable(manifest), exportName + '_ManifestTable', exportSettings);
+  print('🧾 Run manifest: ' + exportName + '_Manifest (.geojson) and ' + exportName + '_ManifestTable (.csv)');
+
   fc.features.forEach(function(f, i) {
-    exportClusterGeoTIFF(forestAgreementFiltered, ee.Feature(f), i);
+    exportClusterGeoTIFF(forestAgreementExport, f, i, manifestProps);
   });
 });
 
@@ -444,24 +946,16 @@ clusterBoundsFC.evaluate(function(fc) {
 ////////////////////////////////////////////////////////////
 // This section computes the forest extent based on all GEODATA polygons (shapefile), NOT the clusters
 
-var forestLayers = [
-  {name: 'JRC',        image: reclassifiedList[0]},
-  {name: 'ESRI-10m',   image: reclassifiedList[1]},
-  {name: 'DynamicWorld', image: reclassifiedList[2]},
-  {name: 'GLC-FCS30D',  image: reclassifiedList[3]},
-  {name: 'FROM-GLC10',   image: reclassifiedList[4]},
-  {name: 'GLCLU2020',    image: reclassifiedList[5]},
-  {name: 'PALSAR-2 FNF', image: reclassifiedList[6]},
-  {name: 'ETH',          image: reclassifiedList[7]},
-  {name: 'GFT',          image: reclassifiedList[8]}
-];
+var forestLayers = agreement.names.map(function(name, i) {
+  return {name: name, year: agreement.editions[i].Year, image: reclassifiedList[i], valid: agreement.valid[i]};
+});
 
 // Compute total ROI area (ha)
 var shpAreaHa = ee.Image.pixelArea().divide(10000)
   .reduceRegion({
     reducer: ee.Reducer.sum(),
     geometry: shp_data,
-    scale: TARGET_RESOLUTION,
+    scale: resolution,
     maxPixels: 1e13
   })
   .getNumber('area');
@@ -476,14 +970,25 @@ var statsList = forestLayers.map(function(layer) {
   var forestAreaHa = areaImage.reduceRegion({
     reducer: ee.Reducer.sum(),
     geometry: shp_data,
-    scale: TARGET_RESOLUTION,
+    scale: resolution,
     maxPixels: 1e13
   }).getNumber('area');
   var forestPct = forestAreaHa.divide(shpAreaHa).multiply(100);
+  // Share of the area where the dataset has valid data (gaps count as non-forest above)
+  var coveredAreaHa = ee.Image.pixelArea().divide(10000)
+    .updateMask(layer.valid)
+    .reduceRegion({
+      reducer: ee.Reducer.sum(),
+      geometry: shp_data,
+      scale: resolution,
+      maxPixels: 1e13
+    }).getNumber('area');
   return ee.Feature(null, {
     'Layer': layer.name,
+    'Year': layer.year,
     'Forest_area_ha': forestAreaHa,
-    'Forest_pct_total': forestPct
+    'Forest_pct_total': forestPct,
+    'Coverage_pct': coveredAreaHa.divide(shpAreaHa).multiply(100)
   });
 });
 
@@ -501,136 +1006,501 @@ var ranked = fc.sort('Forest_pct_total', false)
 print('Forest extent per dataset (GEODATA polygons):', ranked);
 print('Total GEODATA area (ha):', shpAreaHa);
 
+// Majority-forest extent from AGREEMENT_BAND, appended below the ranked datasets (not ranked)
+var majorityAreaHa = ee.Image.pixelArea().divide(10000)
+  .updateMask(majorityForest)
+  .reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: shp_data,
+    scale: resolution,
+    maxPixels: 1e13
+  })
+  .getNumber('area');
 
-Export.table.toDrive({
-  collection: ranked,
-  description: 'ForestExtentSummary_2020',
-  folder: EXPORT_FOLDER,
-  fileFormat: 'CSV'
-});
+// Coverage_pct of the majority row: share of the area where every dataset has valid data
+var fullCoverageHa = ee.Image.pixelArea().divide(10000)
+  .updateMask(agreement.coverage.eq(agreement.count))
+  .reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: shp_data,
+    scale: resolution,
+    maxPixels: 1e13
+  })
+  .getNumber('area');
 
+var summary = ranked.merge(ee.FeatureCollection([ee.Feature(null, {
+  'Layer': majorityLabel,
+  'Year': REFERENCE_YEAR,
+  'Forest_area_ha': majorityAreaHa,
+  'Forest_pct_total': majorityAreaHa.divide(shpAreaHa).multiply(100),
+  'Coverage_pct': fullCoverageHa.divide(shpAreaHa).multiply(100)
+})]));
 
+print(majorityLabel + ' (ha):', majorityAreaHa);
 
-///////////////////////////////////////////////////////////////
-// PART 10: FOREST AGREEMENT ASSESSMENT by PRODUCTION POLYGON 
-//////////////////////////////////////////////////////////////
+// Pixels reassigned by the small-patch (sieve) filter (SIEVE_MODE), see also the sieve_changed band
+var changedAreaHa = ee.Image.pixelArea().divide(10000)
+  .updateMask(agreement.changed)
+  .reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: shp_data,
+    scale: resolution,
+    maxPixels: 1e13
+  })
+  .getNumber('area');
+var changedPixels = agreement.changed.selfMask()
+  .reduceRegion({
+    reducer: ee.Reducer.count(),
+    geometry: shp_data,
+    scale: resolution,
+    maxPixels: 1e13
+  })
+  .getNumber('sieve_changed');
+var sieveSummary = ee.FeatureCollection([ee.Feature(null, {
+  'Sieve_mode': SIEVE_MODE,
+  'MMU_pixels': agreement.sieveMinPixels,
+  'MMU_ha': agreement.sieveMinPixels * agreement.scale * agreement.scale / 10000,
+  'Pixels_changed': changedPixels,
+  'Area_changed_ha': changedAreaHa,
+  'Pct_changed': changedAreaHa.divide(shpAreaHa).multiply(100)
+})]);
+print('Sieve filter (pixels reassigned):', sieveSummary);
+
+// Canopy height (ETH) within the majority forest: mean, median, p90 (m) and % above 5 / 10 / 15 m
+var canopyHeightImg = fal.canopyHeight(agreement, roi);
+var canopyHeightStats = fal.canopyHeightImage(canopyHeightImg, majorityForest)
+  .reduceRegion({
+    reducer: fal.canopyHeightReducer(),
+    geometry: shp_data,
+    scale: resolution,
+    maxPixels: 1e13
+  });
+var canopyHeightSummary = ee.FeatureCollection([
+  ee.Feature(null, canopyHeightStats.set('Forest_mask', majorityLabel).set('Year', REFERENCE_YEAR))
+]);
+print('Canopy height (ETH) within the majority forest:', canopyHeightStats);
 
-// Computing the EPSG code of production area
-var roiCentroid = forestAgreementFiltered.geometry().centroid(ee.ErrorMargin(1));
-var longitude = ee.Number(roiCentroid.coordinates().get(0));
-var latitude = ee.Number(roiCentroid.coordinates().get(1));
 
-// Function to calculate the UTM zone from longitude
-function getUTMZone(lon) {
-    return lon.add(180).divide(6).floor().add(1);
-}
+fal.exportTable(summary, 'ForestExtentSummary_' + REFERENCE_YEAR, exportSettings, {bigQuery: true});
+fal.exportTable(sieveSummary, 'SieveSummary_' + REFERENCE_YEAR, exportSettings);
+fal.exportTable(canopyHeightSummary, 'CanopyHeight_' + REFERENCE_YEAR, exportSettings);
 
-// Compute the UTM zone
-var utmZone = getUTMZone(longitude);
-// Determine if it's in the Northern or Southern Hemisphere
-var isNorthern = latitude.gt(0);
-// Construct the EPSG code for the correct UTM zone
-var epsgCode = ee.Algorithms.If(
-    isNorthern,
-    ee.String('EPSG:326').cat(utmZone.format('%02d')), // Northern Hemisphere (EPSG:326XX)
-    ee.String('EPSG:327').cat(utmZone.format('%02d'))  // Southern Hemisphere (EPSG:327XX)
-);
+// Validation report of all input features (see PART 1). Not part of assessPolygons: it is also
+// needed when no feature is valid, the ROI is empty and PART 10-11 are skipped.
+fal.exportTable(validationReport, 'Geodata_Validation_' + REFERENCE_YEAR, exportSettings);
 
-print('Computed UTM EPSG Code:', epsgCode);
 
-epsgCode = epsgCode.getInfo();  // Converts from EE object to plain string
 
+// PART 10-11 need the CRS of the production area on the client, so they run in assessPolygons once the
+// bounds of all clusters have been evaluated (see below).
+function assessPolygons(statsCrs) {
+  ///////////////////////////////////////////////////////////////
+  // PART 10: FOREST AGREEMENT ASSESSMENT by PRODUCTION POLYGON 
+  //////////////////////////////////////////////////////////////
 
-// -------- FILTER BY 0.5ha MINIMUM AREA and COMPUTE AREA PERCENTAGE COVER ----------
-// Points are NOT considered here since we set a minimum are of 0.5ha, unless user sets a differet minimum area.
+  // statsCrs: CRS of the production area (see the evaluate call after this function)
+  var epsgCode = statsCrs.crs;
 
-// --- 1) area_check flag ---
-var addAreaAndCheck = function(feature) {
-  var geom = feature.geometry();
-  var area_m2 = geom.area({'maxError': 1}); //area in m2
-  var area_ha = area_m2.divide(10000);
+  print('CRS of the polygon statistics:', epsgCode + ' (' + statsCrs.note + ')');
 
-  // Additionally, compute pixel-count based test (num pixels that would fit at TARGET_RESOLUTION)
-  var pixelArea_m2 = ee.Number(TARGET_RESOLUTION).multiply(ee.Number(TARGET_RESOLUTION));
-  var minPixels = ee.Number(0.5).multiply(10000).divide(pixelArea_m2); // pixels that equal 0.5 ha
 
-  // number of pixels estimated from polygon area
-  var approxPixels = area_m2.divide(pixelArea_m2);
+  // -------- FILTER BY 0.5ha MINIMUM AREA and COMPUTE AREA PERCENTAGE COVER ----------
+  // Points are NOT considered here since we set a minimum are of 0.5ha, unless user sets a differet minimum area.
 
-  // If approxPixels < minPixels OR area_ha < 0.5 -> mark below
-  var isBelow = approxPixels.lt(minPixels).or(area_ha.lt(0.5));
+  // --- 1) area_check flag ---
+  var addAreaAndCheck = function(feature) {
+    var geom = feature.geometry();
+    var area_m2 = geom.area({'maxError': 1}); //area in m2
+    var area_ha = area_m2.divide(10000);
 
-  return feature.set({
-    'area_m2': area_m2,
-    'area_ha': area_ha,
-    'area_check': ee.Algorithms.If(isBelow, 'below 0.5ha', '')
+    // Additionally, compute pixel-count based test (num pixels that would fit at the run resolution)
+    var pixelArea_m2 = ee.Number(resolution).multiply(ee.Number(resolution));
+    var minPixels = ee.Number(0.5).multiply(10000).divide(pixelArea_m2); // pixels that equal 0.5 ha
+
+    // number of pixels estimated from polygon area
+    var approxPixels = area_m2.divide(pixelArea_m2);
+
+    // If approxPixels < minPixels OR area_ha < 0.5 -> mark below
+    var isBelow = approxPixels.lt(minPixels).or(area_ha.lt(0.5));
+
+    return feature.set({
+      'area_m2': area_m2,
+      'area_ha': area_ha,
+      'area_check': ee.Algorithms.If(isBelow, 'below 0.5ha', '')
+    });
+  };
+
+  var shp_with_area = shp_data.map(addAreaAndCheck);
+
+
+  // --- 2) Filter polygons that pass the >= 0.5 ha check ---
+  var passed = shp_with_area.filter(ee.Filter.neq('area_check', 'below 0.5ha'));
+
+  // --- 3) Compute pixel-area image and majority-forest mask ---
+  var pixelArea = ee.Image.pixelArea(); // m^2 per pixel
+
+  // Binary mask image (1 where majority forest, else 0) = MAJORITY OF MAPS (MAJORITY_THRESHOLD..N) or weighted score >= WEIGHTED_MAJORITY
+  var maskMajority = majorityForest.updateMask(ee.Image.constant(1));
+  var maskAreaImg = maskMajority.multiply(pixelArea).rename('area_majority_m2');
+
+  // --- 4) Reduce: sum of area_majority_m2 within each polygon ---
+  var reducer = ee.Reducer.sum();
+
+  // Use the run resolution and epsgCode for scaling / crs
+  var stats = maskAreaImg.reduceRegions({
+    collection: passed,
+    reducer: reducer,
+    scale: resolution,
+    crs: epsgCode,
+    tileScale: 4
   });
-};
 
-var shp_with_area = shp_data.map(addAreaAndCheck);
+  // Compute percentage relative to polygon area.
+  var withPercent = stats.map(function(feature) {
+    var area6_9_m2 = ee.Number(feature.get('sum')).max(0); // area in m2 of majority forest (classes MAJORITY_THRESHOLD..N or weighted)
+    var poly_area_m2 = ee.Number(feature.get('area_m2'));
+
+    // If area_m2 is missing for some reason, compute from geometry
+    poly_area_m2 = ee.Algorithms.If(poly_area_m2, poly_area_m2, feature.geometry().area(1));
+    poly_area_m2 = ee.Number(poly_area_m2);
+
+    // Percentage
+    var percent = ee.Number(0);
+    percent = ee.Algorithms.If(poly_area_m2.gt(0),
+                               area6_9_m2.divide(poly_area_m2).multiply(100),
+                               0);
+    return feature.set({
+      'forestagree': ee.Number(percent).toDouble()
+    });
+  });
+
+  // --- 4b) Per-dataset breakdown: % of each polygon mapped as forest by each dataset ---
+  var datasetPctImg = agreement.votes.multiply(100).rename(agreement.keys.map(function(key) {
+    return 'f_' + key;
+  }));
+
+  var datasetStats = datasetPctImg.reduceRegions({
+    collection: withPercent,
+    reducer: ee.Reducer.mean(),
+    scale: resolution,
+    crs: epsgCode,
+    tileScale: 4
+  });
 
+  // Datasets reaching DATASET_FLAG_MIN_PCT -> flag_bits (agree_bits order) and flagged_by (names)
+  var withDatasets = datasetStats.map(function(feature) {
+    var props = {};
+    var flagBits = ee.Number(0);
+    agreement.keys.forEach(function(key, i) {
+      var pct = ee.Number(ee.Algorithms.If(feature.get('f_' + key), feature.get('f_' + key), 0));
+      props['f_' + key] = pct;
+      flagBits = flagBits.add(ee.Algorithms.If(pct.gte(DATASET_FLAG_MIN_PCT), Math.pow(2, i), 0));
+    });
+    props['flag_bits'] = flagBits;
+    props['flagged_by'] = fal.agreementBitsToNames(flagBits, agreement.names).join(', ');
+    return feature.set(props);
+  });
 
-// --- 2) Filter polygons that pass the >= 0.5 ha check ---
-var passed = shp_with_area.filter(ee.Filter.neq('area_check', 'below 0.5ha'));
+  // --- 4c) Area and share of every agreement level 0..N per polygon ---
+  // agree_<v>_ha / agree_<v>_pct = area (ha) / % of the polygon where exactly v maps agree on forest,
+  // so stricter or looser cutoffs can be applied after export without re-running the script.
+  var levelBands = [];
+  for (var v = 0; v <= agreement.count; v++) {
+    levelBands.push(forestAgreementFiltered.round().eq(v).multiply(pixelArea).divide(10000).rename('agree_' + v + '_ha'));
+  }
+  var levelAreaImg = ee.Image.cat(levelBands).updateMask(ee.Image.constant(1));
 
-// --- 3) Compute pixel-area image and mask for values 6..9 ---
-var pixelArea = ee.Image.pixelArea(); // m^2 per pixel
+  var levelStats = levelAreaImg.reduceRegions({
+    collection: withDatasets,
+    reducer: ee.Reducer.sum(),
+    scale: resolution,
+    crs: epsgCode,
+    tileScale: 4
+  });
 
-// Create binary mask image (1 where 6..9, else 0) = MAJORITY OF MAPS
-var mask6to9 = forestAgreementFiltered.gte(6).and(forestAgreementFiltered.lte(9)).rename('mask6to9').updateMask(ee.Image.constant(1));
-var maskAreaImg = mask6to9.multiply(pixelArea).rename('area_6to9_m2');
+  var withLevels = levelStats.map(function(feature) {
+    var poly_area_ha = ee.Number(feature.get('area_ha'));
+    var props = {};
+    var highHa = ee.Number(0);
+    var anyHa = ee.Number(0);
+    for (var lv = 0; lv <= agreement.count; lv++) {
+      var levelHa = ee.Number(ee.Algorithms.If(feature.get('agree_' + lv + '_ha'), feature.get('agree_' + lv + '_ha'), 0));
+      props['agree_' + lv + '_ha'] = levelHa;
+      props['agree_' + lv + '_pct'] = ee.Algorithms.If(poly_area_ha.gt(0), levelHa.divide(poly_area_ha).multiply(100), 0);
+      if (lv >= HIGH_AGREEMENT_MIN) highHa = highHa.add(levelHa);
+      if (lv >= 1) anyHa = anyHa.add(levelHa);
+    }
+    // Shares used by the risk rules: high agreement (>= HIGH_AGREEMENT_MIN maps) and any map (>= 1)
+    props['high_pct'] = ee.Algorithms.If(poly_area_ha.gt(0), highHa.divide(poly_area_ha).multiply(100), 0);
+    props['any_pct'] = ee.Algorithms.If(poly_area_ha.gt(0), anyHa.divide(poly_area_ha).multiply(100), 0);
+    return feature.set(props);
+  });
 
-// --- 4) Reduce: sum of area_6to9_m2 within each polygon ---
-var reducer = ee.Reducer.sum();
+  // --- 4d) Post-cutoff forest loss within the majority forest (optional, LOSS_CHECK) ---
+  var withLoss = withLevels;
+  if (LOSS_CHECK) {
+    var lostForest = fal.forestLoss(roi, majorityForest, LOSS_SOURCE, LOSS_START, LOSS_END);
+
+    Map.addLayer(lostForest.select('loss').selfMask(), {palette: ['#FF00FF']},
+                 'Forest Loss ' + LOSS_START + ' to ' + LOSS_END + ' (' + fal.LOSS_SOURCES[LOSS_SOURCE].name + ')');
+
+    var lossStats = lostForest.select('loss').multiply(pixelArea).divide(10000).rename('loss_ha')
+      .reduceRegions({
+        collection: withLevels,
+        reducer: ee.Reducer.sum(),
+        scale: resolution,
+        crs: epsgCode,
+        tileScale: 4
+      });
+    lossStats = lostForest.select('loss_day').reduceRegions({
+      collection: lossStats,
+      reducer: ee.Reducer.min().setOutputs(['loss_day']),
+      scale: resolution,
+      crs: epsgCode,
+      tileScale: 4
+    });
+
+    withLoss = lossStats.map(function(feature) {
+      var lossHa = ee.Number(ee.Algorithms.If(feature.get('loss_ha'), feature.get('loss_ha'), 0));
+      var forestHa = ee.Number(feature.get('sum')).max(0).divide(10000);   // majority forest at the reference year
+      return feature.set({
+        'loss_ha': lossHa,
+        'loss_pct': ee.Algorithms.If(forestHa.gt(0), lossHa.divide(forestHa).multiply(100), 0),
+        'loss_first': fal.formatLossDay(feature.get('loss_day'), LOSS_SOURCE),
+        'loss_src': LOSS_SOURCE
+      });
+    });
 
-// Use the TARGET_RESOLUTION and epsgCode for scaling / crs
-var stats = maskAreaImg.reduceRegions({
-  collection: passed,
-  reducer: reducer,
-  scale: TARGET_RESOLUTION,
-  crs: epsgCode,
-  tileScale: 4
-});
+    print('Forest loss ' + LOSS_START + ' to ' + LOSS_END + ' - polygons with loss:',
+          withLoss.filter(ee.Filter.gt('loss_ha', 0)).size());
+    print('Forest loss ' + LOSS_START + ' to ' + LOSS_END + ' - lost majority forest (ha):',
+          withLoss.aggregate_sum('loss_ha'));
+  }
 
-// Compute percentage relative to polygon area.
-var withPercent = stats.map(function(feature) {
-  var area6_9_m2 = ee.Number(feature.get('sum')).max(0); // area in m2 for classes 6..9
-  var poly_area_m2 = ee.Number(feature.get('area_m2'));
+  // --- 4e) Forest types within the majority forest ---
+  // primary_ha / natreg_ha / planted_ha = majority forest (ha) typed primary / naturally regenerating / planted,
+  // untyped_ha = majority forest without a type (see EXPORT_FOREST_TYPE); the four add up to the majority forest
+  var typeColumns = fal.FOREST_TYPES.concat([fal.FOREST_TYPE_UNKNOWN]).map(function(t) { return t.column; });
+  var typeStats = fal.forestTypeAreaImage(forestType).reduceRegions({
+    collection: withLoss,
+    reducer: ee.Reducer.sum(),
+    scale: resolution,
+    crs: epsgCode,
+    tileScale: 4
+  });
 
-  // If area_m2 is missing for some reason, compute from geometry
-  poly_area_m2 = ee.Algorithms.If(poly_area_m2, poly_area_m2, feature.geometry().area(1));
-  poly_area_m2 = ee.Number(poly_area_m2);
+  var withTypes = typeStats.map(function(feature) {
+    var props = {};
+    typeColumns.forEach(function(column) {
+      props[column] = ee.Number(ee.Algorithms.If(feature.get(column), feature.get(column), 0));
+    });
+    return feature.set(props);
+  });
 
-  // Percentage
-  var percent = ee.Number(0);
-  percent = ee.Algorithms.If(poly_area_m2.gt(0),
-                             area6_9_m2.divide(poly_area_m2).multiply(100),
-                             0);
-  return feature.set({
-    'forestagree': ee.Number(percent).toDouble()
+  print('Majority forest per forest type (ha):', ee.Dictionary.fromLists(typeColumns, typeColumns.map(function(column) {
+    return withTypes.aggregate_sum(column);
+  })));
+
+  // --- 4f) Canopy height (ETH) within the majority forest ---
+  // ch_mean / ch_median / ch_p90 = canopy height (m), ch_gt5 / ch_gt10 / ch_gt15 = % of the majority forest
+  // with a canopy above 5 / 10 / 15 m; empty for polygons without majority forest
+  var withHeight = fal.canopyHeightImage(canopyHeightImg, majorityForest).reduceRegions({
+    collection: withTypes,
+    reducer: fal.canopyHeightReducer(),
+    scale: resolution,
+    crs: epsgCode,
+    tileScale: 4
   });
-});
 
-// --- 5) Re-attach the original small polygons (so the full collection has area_check for all) ---
-// For polygons that were below threshold, keep their area_check and forestaagree as null
-var below = shp_with_area.filter(ee.Filter.equals('area_check', 'below 0.5ha'))
-                .map(function(f) { return f.set('forestagree', null); });
+  // --- 5) Re-attach the original small polygons (so the full collection has area_check for all) ---
+  // For polygons that were below threshold, keep their area_check and forestaagree as null
+  var below = shp_with_area.filter(ee.Filter.equals('area_check', 'below 0.5ha'))
+                  .map(function(f) { return f.set('forestagree', null, 'flagged_by', null); });
+
+  // Combine both sets
+  var assessed = withHeight.merge(below);
 
-// Combine both sets
-var final = withPercent.merge(below);
+  // --- 6) EUDR risk classification (first matching rule of RISK_RULES) ---
+  var final = fal.applyRules(assessed, RISK_RULES, {category: 'risk', code: 'risk_code', reason: 'risk_why'})
+    .map(function(f) { return f.set({'stats_crs': epsgCode, 'stats_crs_note': statsCrs.note}); });
 
-print(
-  'Check sample features:',
-  withPercent.limit(10).select(['area_m2', 'sum', 'forestagree'])
-);
+  print('EUDR risk - polygons per category:', final.aggregate_histogram('risk'));
+  print('EUDR risk - polygons per reason code:', final.aggregate_histogram('risk_code'));
+  print('EUDR risk - area (ha) per category:', final.reduceColumns({
+    reducer: ee.Reducer.sum().group({groupField: 1, groupName: 'risk'}),
+    selectors: ['area_ha', 'risk']
+  }).get('groups'));
 
+  print(
+    'Check sample features:',
+    final.limit(10).select(['area_m2', 'sum', 'forestagree', 'flagged_by', 'risk', 'risk_code'])
+  );
+
+
+  // --- 7) Sensitivity analysis (SENSITIVITY_MODE, PART 0H) ---
+  // PART 9 extent summary and forestagree of every polygon above for each parameter combination, one long table
+  if (SENSITIVITY_MODE) {
+    var sensitivity = fal.sensitivityAnalysis(agreement, roi, SENSITIVITY_LISTS, {
+      majorityThreshold: MAJORITY_THRESHOLD,
+      region: shp_data,
+      scale: resolution,
+      polygons: passed,
+      idField: PLOT_ID_FIELD || 'plot_idx',
+      crs: epsgCode
+    });
+    print('🔁 Sensitivity analysis - parameter sets:', sensitivity.aggregate_max('run'));
+    fal.exportTable(sensitivity, 'SensitivityAnalysis_' + REFERENCE_YEAR, exportSettings, {
+      selectors: fal.SENSITIVITY_COLUMNS
+    });
+  }
+
+
+  // Clusters: ID, plot count, plot IDs and areas (cluster_id is also a column of the polygon table)
+  fal.exportTable(clusterBoundsFC, 'Geodata_Clusters_' + REFERENCE_YEAR, exportSettings, {
+    selectors: ['cluster_id', 'plot_count', 'plot_ids', 'plot_area_ha', 'cluster_area_ha']
+  });
+
+  // Export the full geometries and attributes as a shapefile (and to BigQuery when BIGQUERY_DATASET is set).
+  fal.exportTable(final, 'Geodata_ForestAgreement_' + REFERENCE_YEAR, exportSettings, {
+    fileFormat: EXPORT_FORMAT, bigQuery: true
+  });
+
+
+  ///////////////////////////////////////////////
+  // PART 11: DRILL-DOWN BY CLUSTER OR POLYGON
+  ///////////////////////////////////////////////
+  // PART 7 only shows the first cluster. This sidebar lists every cluster and production polygon:
+  // choosing one zooms to it, re-renders the raw and filtered agreement clipped to it and shows its
+  // values plus a histogram of the agreement levels. Type in the search box to filter the list
+  // (e.g. by plot ID when PLOT_ID_FIELD is set).
+
+  var DRILL_MAX_ITEMS = 500;   // list entries shown at once; search to reach the others
+
+  var drillPanel = ui.Panel({style: {width: '340px', padding: '8px'}});
+  drillPanel.add(ui.Label({value: 'Drill-down: cluster / polygon', style: {fontWeight: 'bold', fontSize: '16px'}}));
+  var drillStatus = ui.Label('⏳ Loading clusters and polygons...');
+  drillPanel.add(drillStatus);
+  ui.root.insert(0, drillPanel);
+
+  var drillLayers = [];
+  var drillRequest = 0;
+
+  // Value for display: '–' when missing, numbers with 2 decimals
+  var formatDrill = function(value) {
+    if (value === null || value === undefined || value === '') return '–';
+    return (typeof value === 'number') ? value.toFixed(2) : String(value);
+  };
+
+  // Zoom to one cluster or polygon, re-render its layers and fill the info panel
+  var showDrillItem = function(item, infoPanel) {
+    var request = ++drillRequest;   // only the latest choice fills the panel
+    var isCluster = item.value.indexOf('c:') === 0;
+    var id = item.value.slice(2);
+    var geom = isCluster
+      ? ee.Feature(clusterBoundsFC.toList(1, Number(id)).get(0)).geometry()
+      : final.filter(ee.Filter.eq('system:index', id)).first().geometry();
+    Map.centerObject(geom);
+
+    // Replace the layers of the previous choice
+    drillLayers.forEach(function(layer) { Map.layers().remove(layer); });
+    drillLayers = [
+      ui.Map.Layer(forestAgreement.clip(geom), visParams, 'Forest Agreement (Raw) - ' + item.label),
+      ui.Map.Layer(forestAgreementFiltered.clip(geom), visParams, 'Forest Agreement (Filtered) - ' + item.label),
+      ui.Map.Layer(ee.FeatureCollection([ee.Feature(geom)]).style({
+        color: 'yellow',
+        fillColor: '00000000',
+        width: 2
+      }), {}, 'Selected - ' + item.label)
+    ];
+    drillLayers.forEach(function(layer) { Map.layers().add(layer); });
+
+    infoPanel.clear();
+    infoPanel.add(ui.Label({value: item.label, style: {fontWeight: 'bold'}}));
+    var infoStatus = ui.Label('⏳ Loading values...');
+    infoPanel.add(infoStatus);
+
+    // Cluster: number of plots, their area and mean forestagree; polygon: its own values
+    var plots = final.filter(ee.Filter.eq('cluster_id', 'Cluster_' + (Number(id) + 1)));
+    var values = isCluster
+      ? ee.Dictionary({
+          'plots': plots.size(),
+          'area_ha': plots.aggregate_sum('area_ha'),
+          'below 0.5ha': plots.filter(ee.Filter.eq('area_check', 'below 0.5ha')).size(),
+          'forestagree (mean)': plots.filter(ee.Filter.notNull(['forestagree'])).aggregate_mean('forestagree')
+        })
+      : final.filter(ee.Filter.eq('system:index', id)).first().toDictionary();
+    values.evaluate(function(dict, error) {
+      if (request !== drillRequest) return;
+      if (error) return infoStatus.setValue('⚠️ ' + error);
+      infoPanel.remove(infoStatus);
+      var keys = isCluster ? Object.keys(dict) : ['area_ha', 'area_check', 'forestagree', 'risk'];
+      keys.forEach(function(key) {
+        infoPanel.add(ui.Label(key + ': ' + formatDrill(dict[key]), {margin: '2px 8px'}));
+      });
+    });
+
+    infoPanel.add(ui.Chart.image.histogram({
+      image: forestAgreementFiltered.round().rename('agreement'),
+      region: geom,
+      scale: resolution,
+      minBucketWidth: 1,
+      maxPixels: 1e9
+    }).setOptions({
+      title: 'Agreement levels - ' + item.label,
+      hAxis: {title: 'Maps agreeing on forest'},
+      vAxis: {title: 'Pixels'},
+      legend: {position: 'none'}
+    }));
+  };
+
+  // One row per polygon: [system:index, label] (label = PLOT_ID_FIELD value, else the feature index)
+  var drillPlots = final.map(function(f) {
+    var index = f.get('system:index');
+    var label = PLOT_ID_FIELD
+      ? ee.Algorithms.If(ee.Algorithms.IsEqual(f.get(PLOT_ID_FIELD), null), index, f.get(PLOT_ID_FIELD))
+      : index;
+    return ee.Feature(null, {'index': index, 'label': label});
+  }).reduceColumns(ee.Reducer.toList(2), ['index', 'label']).get('list');
+
+  ee.Dictionary({clusters: clusterBoundsFC.size(), plots: drillPlots}).evaluate(function(info, error) {
+    if (error) return drillStatus.setValue('⚠️ Drill-down list could not be loaded: ' + error);
+    var items = [];
+    for (var c = 0; c < info.clusters; c++) items.push({label: 'Cluster ' + (c + 1), value: 'c:' + c});
+    info.plots.forEach(function(plot) {
+      items.push({label: 'Plot ' + plot[1], value: 'p:' + plot[0]});
+    });
+
+    var infoPanel = ui.Panel();
+    var select = ui.Select({
+      items: items.slice(0, DRILL_MAX_ITEMS),
+      placeholder: 'Choose a cluster or polygon',
+      onChange: function(value) {
+        var item = items.filter(function(it) { return it.value === value; })[0];
+        if (item) showDrillItem(item, infoPanel);
+      }
+    });
+    var search = ui.Textbox({
+      placeholder: 'Search (e.g. plot ID)',
+      onChange: function(text) {
+        text = String(text || '').toLowerCase();
+        select.items().reset(items.filter(function(it) {
+          return it.label.toLowerCase().indexOf(text) !== -1;
+        }).slice(0, DRILL_MAX_ITEMS));
+      }
+    });
+
+    drillStatus.setValue(info.clusters + ' clusters, ' + info.plots.length + ' polygons');
+    drillPanel.add(search).add(select).add(infoPanel);
+  });
+}
 
-// Export the full geometries and attributes as a shapefile.
-Export.table.toDrive({
-  collection: final,
-  description: 'Geodata_ForestAgreement_2020',
-  folder: EXPORT_FOLDER,  
-  fileFormat: EXPORT_FORMAT
+// Computing the EPSG code of production area: the UTM zone of all clusters, or EQUAL_AREA_CRS when
+// they span several zones/hemispheres (one CRS is needed for the statistics, so no split here)
+roi.bounds(ee.ErrorMargin(1)).coordinates().get(0).evaluate(function(ring, error) {
+  if (error) return print('⚠️ CRS of the polygon statistics could not be computed, PART 10-11 skipped: ' + error);
+  assessPolygons(fal.chooseCrs(fal.ringBounds(ring), {
+    forceCrs: FORCE_CRS, multiZone: 'equal-area', equalAreaCrs: EQUAL_AREA_CRS
+  }));
 });
 
 
@@ -25,8 +25,22 @@
 var TARGET_RESOLUTION = 30;       // meters (final/full-res)
 var VIS_RESOLUTION = 120;         // meters (visualization; increase to reduce memory)
 var SIEVE_THRESHOLD_PIXELS = 6;   // pixels for filtering out (6 pixels ~0.5 ha at 30m), minimum mapping unit
+var SIEVE_MODE = 'pixels';        // small-patch filter: 'pixels' (SIEVE_THRESHOLD_PIXELS, one pass, as in v1.0), 'class' (regions of equal agreement value) or 'forest' (forest/non-forest regions at MAJORITY_THRESHOLD)
+var SIEVE_MMU_HA = 0.5;           // 'class'/'forest': minimum mapping unit in hectares, converted to pixels at the agreement resolution
+var SIEVE_ITERATIONS = 5;         // 'class'/'forest': maximum passes; the filter repeats until no region below SIEVE_MMU_HA can be reassigned
 var FOREST_HEIGHT_MIN = 5;        // meters
+var REFERENCE_YEAR = 2020;        // year of the agreement layer (e.g. 2018, 2020, 2021); each dataset uses its closest available edition
+var AGREEMENT_BAND = 'agreement'; // band used for the majority-forest summaries: 'agreement' (number of maps) or 'weighted' (weighted consensus)
+var MAJORITY_THRESHOLD = 6;       // minimum number of maps counted as majority forest when AGREEMENT_BAND = 'agreement' (6 = 6..9 of 9 maps)
+var WEIGHTED_SCALE = 100;         // weighted consensus range: 1 (0–1) or 100 (0–100)
+var WEIGHTED_MAJORITY = 66.7;     // weighted score (on WEIGHTED_SCALE) counted as majority forest when AGREEMENT_BAND = 'weighted' (66.7 ~ 6 of 9 maps)
+var DATASET_WEIGHTS = {};         // confidence weight per dataset key, e.g. {'JRC': 0.9, 'GLC10': 0.5}; datasets not listed weigh 1
 var AGREEMENT_RADIUS = 1;         // pixels for focalMode filter. When value is "1", the filter looks at a 3×3 neighborhood (1 pixel in every direction → center + 8 surrounding pixels)
+var NORMALIZE_BY_COVERAGE = false; // true = count the agreement among the datasets with valid data at each pixel, scaled to all maps (data gaps no longer count as non-forest)
+var AGGREGATION_MODE = 'resample';  // how the 10–30 m forest masks meet on one grid: 'resample' (EPSG:4326, bilinear, as in v1.0), 'fraction' (forest fraction per AGGREGATION_CRS cell, see FOREST_FRACTION_MIN) or 'native' (10 m grid for small plots; the run uses 10 m instead of TARGET_RESOLUTION)
+var AGGREGATION_CRS = 'EPSG:6933';  // grid of the 'fraction' and 'native' modes: equal-area (default) or a UTM zone, e.g. 'EPSG:32630'
+var FOREST_FRACTION_MIN = 0.5;      // 'fraction' mode: share (0–1) of a pixel a dataset must map as forest to count as a forest vote
+var FOREST_FRACTION_BY_DATASET = {}; // 'fraction' mode: share per dataset key, e.g. {'ETH': 0.3}; datasets not listed use FOREST_FRACTION_MIN
 var VIS_BUFFER = 30000;           // meters of buffer for visualization window around ROI centroid
 
 
@@ -85,19 +99,50 @@ var roi = ls.geometry();
 
 // 1. Choose where the forest-agreement layer will be exported.
 //    'Drive' → saves the file to your Google Drive
-//    'Asset' → saves the file to your Earth Engine Assets (shown in the left panel)
-var EXPORT_TARGET = 'Drive';   // Options: 'Drive' or 'Asset'
+//    'Asset' → saves the file to your Earth Engine Assets (shown in the left panel); tables still go to Drive
+//    'GCS'   → saves the files and tables to a Google Cloud Storage bucket (see 3b)
+var EXPORT_TARGET = 'Drive';   // Options: 'Drive', 'Asset' or 'GCS'
 
 
 // 2. Settings used ONLY when EXPORT_TARGET = 'Asset'
 //    Provide the EE asset ID where the export should be saved.
-var EXPORT_ASSET_ID = 'users/your_username/ForestAgreement_2020';
+//    The reference year is appended automatically (e.g. ForestAgreement_2020).
+var EXPORT_ASSET_ID = 'users/your_username/ForestAgreement';
 // <-- Replace with your EE username and desired asset name
 
 // 3. Settings used ONLY when EXPORT_TARGET = 'Drive'
 //    These fields define the Drive folder and file description.
 var EXPORT_FOLDER = 'ForestAgreementExports';
-var EXPORT_DESCRIPTION = 'ForestAgreement_2020';
+//    The reference year is appended automatically (e.g. ForestAgreement_2020).
+var EXPORT_DESCRIPTION = 'ForestAgreement';
+
+// 3b. Settings used ONLY when EXPORT_TARGET = 'GCS'
+//    Files are written to gs://<GCS_BUCKET>/<GCS_PREFIX>/<name>.
+var GCS_BUCKET = 'your-bucket';        // <-- Replace with your bucket name (without gs://)
+var GCS_PREFIX = 'forest_agreement';   // "folder" inside the bucket ('' = bucket root)
+
+// 3c. BigQuery (optional): the forest extent summary (PART 9) is also
+//    exported as BigQuery tables <BIGQUERY_DATASET>.<name> (overwritten on every run).
+var BIGQUERY_DATASET = null;   // e.g. 'my-project.forest_agreement'; null = no BigQuery export
+
+// 4. Add the "which maps agree" band (agree_bits) to the exported GeoTIFF.
+//    Bit i is set where dataset i (registry order) calls the pixel forest, e.g. 5 = 1st + 3rd dataset.
+//    The dataset order is printed in the Console; fal.decodeAgreementBits(value, names) returns the names.
+var EXPORT_AGREEMENT_BITS = true;
+
+// 5. Export profile.
+//    'agreement' → filtered agreement (+ weighted score / agree_bits as set above)
+//    'multiband' → raw and filtered agreement, one 0/1 forest mask per dataset (f_<key>), coverage, sieve_changed, + weighted score /
+//                  agree_bits / forest_type, all bands with one data type and no-data value -1. A style sidecar
+//                  (<name>_style.geojson: band descriptions, legend, QGIS .qml, .sld and ArcGIS .clr text)
+//                  is exported next to the tiles.
+var EXPORT_PROFILE = 'agreement';   // Options: 'agreement' or 'multiband'
+
+// 6. Add the forest type band (forest_type) to the exported GeoTIFF (both profiles).
+//    Within the majority forest: 10 = primary, 1 = naturally regenerating, 20 = planted/plantation forest,
+//    99 = forest without a type; 0 = not majority forest. Combines the GFT subtypes with the GLCLU forest
+//    types (also when they are dropped from the agreement); planted from either wins, GFT decides primary.
+var EXPORT_FOREST_TYPE = true;
 
 
 
@@ -105,7 +150,7 @@ var EXPORT_DESCRIPTION = 'ForestAgreement_2020';
 // PART 0C: TILING SIZE 
 ///////////////////////////////////////
 /*
-Set the number of tiles used for export the forest agreement layer
+Set the number of tiles used for export the forest agreement layer (TILING_MODE = 'Fixed')
 - The size of tile is based on the size of "roi"
 - The larger your ROI, the more tiles may be required. More tiles increase processing time. A balance should be defined here.
 - Increasing the values below creates more (and therefore smaller) tiles.
@@ -115,366 +160,952 @@ Set the number of tiles used for export the forest agreement layer
 var numRows = 2;  // fewer rows → larger tiles
 var numCols = 2;  // fewer columns → larger tiles
 
+/*
+TILING_MODE = 'Auto' (optional) picks the number of tiles from the ROI size instead:
+- each tile holds at most MAX_PIXELS_PER_TILE pixels at TARGET_RESOLUTION (numRows / numCols are ignored)
+- ALIGN_TILES_TO_UTM splits the ROI at UTM zone boundaries (every 6° longitude), so each tile lies in one zone
+Tiles that touch the ROI bounding box but not the ROI itself are skipped. A tile index table
+(tile ID, bounds, CRS) is exported next to the tiles. Tile IDs are c<col>r<row> in 'Auto' mode and
+0, 1, 2, ... in 'Fixed' mode (file names <name>_tile_<i> as in v1.0).
+*/
+var TILING_MODE = 'Fixed';         // 'Fixed' (numRows × numCols, as in v1.0) or 'Auto'
+var MAX_PIXELS_PER_TILE = 1e9;     // pixels per exported file in 'Auto' mode
+var ALIGN_TILES_TO_UTM = true;     // 'Auto' mode: tile edges on UTM zone boundaries
 
 
+///////////////////////////////////////
+// PART 0D: SHARED MODULE
+///////////////////////////////////////
+/*
+Both scripts load the datasets and compute the agreement with the same module:
+src/module/GEE_forest_agreement_MODULE_v1.0.js
+- Copy the module into one of your GEE repositories (Scripts tab → NEW → Repository) and set its path below.
+- Path format: 'users/<username>/<repository>:<path inside repository>'
+*/
 
+var MODULE_PATH = 'users/your_username/gee_forest_agreement_layer:src/module/GEE_forest_agreement_MODULE_v1.0';
 
 
+///////////////////////////////////////
+// PART 0E: DATASET SELECTION
+///////////////////////////////////////
+/*
+The forest maps are listed in the dataset registry of the shared module (DATASETS).
+- DROP_DATASETS: registry keys to leave out, e.g. ['GLC10', 'ETH']
+- ADD_DATASETS : extra registry entries, e.g. a national forest map (see the field list in the module)
+To swap a map, drop its key and add the replacement. Palette and legend follow the number of maps.
+Keys: 'JRC', 'ESRI_LULC', 'DynamicWorld', 'GLCFCS30D', 'GLC10', 'GLCLU', 'PALSAR', 'ETH', 'GFT'
+*/
 
+var DROP_DATASETS = [];
+var ADD_DATASETS = [
+  /*
+  {key: 'NFM', name: 'National forest map', assetId: 'projects/ee-username/assets/national_forest_map',
+   type: 'Image', band: 'b1', dates: null, reducer: null, forestClasses: [1]}
+  */
+];
 
 
-
-////// ----------- From this point onward, the script runs AUTOMATICALLY ------------ //////
-
 ///////////////////////////////////////
-// PART 1: DEFINED REGION OF INTEREST
+// PART 0F: APP (SIDEBAR)
 ///////////////////////////////////////
+/*
+USE_APP = true  → a sidebar opens instead of running straight away:
+  - choose the ROI: drawn geometry, GAUL country/admin unit, asset ID, coordinates or point + buffer
+  - adjust the main settings (the fields start from the PART 0 values above)
+  - press "Run" to compute the layers again; invalid entries are reported in the sidebar
+USE_APP = false → the script runs once with the PART 0 settings and the "roi" geometry (headless)
+*/
 
-// Define or draw roi in EE.
-if (typeof roi === 'undefined') {
-  throw 'Please define a geometry variable named "roi" (either by drawing using the geometry tools or editing the script).';
-}
-
+var USE_APP = false;  // false = headless run as in earlier versions
+var QUEUE_EXPORTS = true;   // create the export tasks of PART 8 and 9 (switch off while exploring in the app)
 
-Map.addLayer(ee.FeatureCollection([ee.Feature(roi)]).style({
-  color:'black', fillColor:'00000000', width:2
-}), {}, 'ROI');
-Map.centerObject(roi);
 
 ///////////////////////////////////////
-// PART 2: FOREST CLASS DEFINITIONS
+// PART 0G: CRS (PROJECTION) OF THE EXPORTS
 ///////////////////////////////////////
+/*
+Each tile is exported in the UTM zone it lies in (Norway/Svalbard special zones and the hemispheres included).
+Tiles that span several UTM zones or both hemispheres are either
+- 'split'      → exported as one file per zone, each in its own UTM CRS, or
+- 'equal-area' → exported as one file in EQUAL_AREA_CRS (also used north of 84°N / south of 80°S).
+FORCE_CRS exports everything in one CRS of your choice. The CRS used is logged in the Console,
+in the tile index table and in the properties of Asset exports.
+*/
+var FORCE_CRS = null;               // e.g. 'EPSG:32630' or 'EPSG:3035'; null = choose automatically
+var MULTI_ZONE_CRS = 'split';       // 'split' or 'equal-area'
+var EQUAL_AREA_CRS = 'EPSG:6933';   // WGS 84 / EASE-Grid 2.0 Global (equal-area)
 
-var forestClasses = {
-  'JRC': ee.List([1]),
-  'ESRI_LULC': ee.List([2]),
-  'DynamicWorld': ee.List([1]),
-  'GLCFCS30D': ee.List([51,52,61,62,71,72,81,82,91,92]),
-  'GLC10': ee.List([20]),
-  'GLCLU': ee.List([1,3,4]),
-  'PALSAR': ee.List([1,2]),
-  'GFT': ee.List([1,10]),
-  'ETH': ee.List.sequence(FOREST_HEIGHT_MIN, 255)
-};
 
 ///////////////////////////////////////
-// PART 3: FUNCTIONS
+// PART 0H: SENSITIVITY ANALYSIS (optional)
 ///////////////////////////////////////
+/*
+Answers "how do the results depend on the parameters?" in one run. For every combination of the value lists
+below, the agreement is rebuilt and one long-format table is exported (SensitivityAnalysis_<year>):
+the PART 9 extent summary (scope 'extent': forest area per dataset and the majority forest).
+Columns: run, sieve_px, radius, height_min, majority, current (= the PART 0 values), scope, item, forest_ha, forest_pct.
+- An empty list keeps the PART 0 value.
+- One agreement is built per SIEVE_PIXELS × RADIUS × HEIGHT_MIN combination (at most 48); the MAJORITY values reuse it.
+- SENSITIVITY_SIEVE_PIXELS only has an effect with SIEVE_MODE = 'pixels'.
+- The defaults sweep FOREST_HEIGHT_MIN only (4 agreements); fill the other lists to combine parameters,
+  e.g. SIEVE_PIXELS [3, 6, 12], RADIUS [1, 2], MAJORITY [6, 7, 8, 9].
+- Majority forest is counted on the agreement band (number of maps), also when AGREEMENT_BAND = 'weighted'.
+*/
+var SENSITIVITY_MODE = false;                // true = compute and export the sensitivity table
+var SENSITIVITY_SIEVE_PIXELS = [];          // SIEVE_THRESHOLD_PIXELS values
+var SENSITIVITY_RADIUS = [];                // AGREEMENT_RADIUS values
+var SENSITIVITY_HEIGHT_MIN = [2, 5, 10, 15]; // FOREST_HEIGHT_MIN values (meters)
+var SENSITIVITY_MAJORITY = [];              // MAJORITY_THRESHOLD values (number of maps)
 
-// Binary forest/non-forest reclassification
-function reclassifyImage(image, classes) {
-  return image.remap(classes, ee.List.repeat(1, classes.length()), 0)
-              .unmask(0)
-              .rename('Landcover');
-}
 
-// Reproject and resample (done prior to bitwise operations)
-function reprojectAndResample(image) {
-  return image
-    .reproject({crs: 'EPSG:4326', scale: TARGET_RESOLUTION})
-    .resample()
-    ;
-}
 
-// Filter and mosaic 
-function filterAndMosaic(collectionId, startDate, endDate) {
-  var c = ee.ImageCollection(collectionId).filterBounds(roi);
-  if (startDate && endDate) c = c.filterDate(startDate, endDate);
-  var m = c.mosaic();
-  return m.clip(roi);
-}
 
-///////////////////////////////////////
-// PART 4: LOAD DATASETS
-///////////////////////////////////////
-// Each dataset clipped to ROI 
-
-// JRC (10m) 2020 [Bourgoin et al., 2024]
-var jrc_2020 = filterAndMosaic("JRC/GFC2020/V2").clip(roi);
-
-// ESRI-LULC (10m) 2020 [Karra et al. 2021]
-var esri_lulc_2020 = filterAndMosaic("projects/sat-io/open-datasets/landcover/ESRI_Global-LULC_10m_TS",
-                                     '2020-01-01','2020-12-31').clip(roi);
-
-// Dynamic World (10m) 2020 [Brown et al. 2022]                                     
-var dw_mode = ee.ImageCollection('GOOGLE/DYNAMICWORLD/V1')
-  .filterBounds(roi).filterDate('2020-01-01','2020-12-31')
-  .select('label').reduce(ee.Reducer.mode()).clip(roi);
-
-// GLC-FCS30D Global Land Cover (30m) 2020 [Liu et al. 2020]  
-var GLCFCS30D_2020 = ee.ImageCollection("projects/sat-io/open-datasets/GLC-FCS30D/annual")
-  .select('b21').filterBounds(roi).reduce(ee.Reducer.mean()).clip(roi);
-
-// FROM-GLC10 (10m) 2017 [Gong et al. 2019]  
-var GLC10_2017 = filterAndMosaic("projects/sat-io/open-datasets/FROM-GLC10");
-
-// GLCLUC2020 - Forest Extent 2020 [Potapov et al., 2022]
-var landmask = ee.Image("projects/glad/OceanMask").lte(1);
-var GLCLU_2020 = ee.Image('projects/glad/GLCLU2020/Forest_type')
-  .clip(roi).updateMask(landmask);
-
-// Global 4-class PALSAR-2 (25m) 2020 [Shimada et al. 2014]  
-var jaxa_2020 = filterAndMosaic('JAXA/ALOS/PALSAR/YEARLY/FNF4','2020-01-01').clip(roi);
-
-// Global Canopy height (10m) 2020 [Lang et al., 2023]
-var ETH_2020 = ee.Image('users/nlang/ETH_GlobalCanopyHeight_2020_10m_v1').clip(roi);
-
-// Global Forest Types (10m) 2020, v0 [Bourgoin et al., 2024]
-var GFT2020 = filterAndMosaic('JRC/GFC2020_subtypes/V0');
-// 1 - Naturally regenerating forest
-// 10 - Primary forest
-// 20 - Planted/Plantation forest
-
-
-///////////////////////////////////////////
-// PART 5: RECLASSIFICATION + REPROJECTION
-//////////////////////////////////////////
-
-var reclassifiedList = [
-  reprojectAndResample(reclassifyImage(jrc_2020, forestClasses['JRC'])),
-  reprojectAndResample(reclassifyImage(esri_lulc_2020, forestClasses['ESRI_LULC'])),
-  reprojectAndResample(reclassifyImage(dw_mode, forestClasses['DynamicWorld'])),
-  reprojectAndResample(reclassifyImage(GLCFCS30D_2020, forestClasses['GLCFCS30D'])),
-  reprojectAndResample(reclassifyImage(GLC10_2017, forestClasses['GLC10'])),
-  reprojectAndResample(reclassifyImage(GLCLU_2020, forestClasses['GLCLU'])),
-  reprojectAndResample(reclassifyImage(jaxa_2020, forestClasses['PALSAR'])),
-  reprojectAndResample(reclassifyImage(ETH_2020, forestClasses['ETH'])),
-  reprojectAndResample(reclassifyImage(GFT2020, forestClasses['GFT']))
-];
 
-/////////////////////////////////////////////
-// PART 6: FOREST AGREEMENT LAYER (FULL ROI)
-////////////////////////////////////////////
 
-// Combine all 9 reclassified forest masks
-var forestAgreement = ee.ImageCollection(reclassifiedList)
-  .reduce(ee.Reducer.sum())
-  .rename('agreement')
-  ;
-  
-// Filter out small patches and reassign 
-var smallPatches = forestAgreement.connectedPixelCount(8).lt(SIEVE_THRESHOLD_PIXELS);
-var majorityClass = forestAgreement.focalMode(AGREEMENT_RADIUS, 'square', 'pixels');
-var forestAgreementFiltered = forestAgreement.where(smallPatches, majorityClass);
 
 
-///////////////////////////////////////
-// PART 7: LIGHTWEIGHT VISUALIZATION
-///////////////////////////////////////
 
-// Smaller visualization area + downscaled layer
-var visROI = roi.centroid(ee.ErrorMargin(1)).buffer(VIS_BUFFER);
 
-// Function to standardize reproject + clip for any agreement layer
-function prepareVisLayer(image) {
-  return image
-    .reproject({crs: 'EPSG:4326', scale: VIS_RESOLUTION})
-    .clip(visROI);
+////// ----------- From this point onward, the script runs AUTOMATICALLY ------------ //////
+
+var fal = require(MODULE_PATH);
+var SCRIPT_VERSION = 'GEE_forest_agreement_ROI_v1.0 (12.12.2025)';
+
+// PART 0 settings as used by a run (recorded in the run manifest, PART 8)
+function part0Settings() {
+  return {
+    TARGET_RESOLUTION: TARGET_RESOLUTION, VIS_RESOLUTION: VIS_RESOLUTION, SIEVE_THRESHOLD_PIXELS: SIEVE_THRESHOLD_PIXELS,
+    SIEVE_MODE: SIEVE_MODE, SIEVE_MMU_HA: SIEVE_MMU_HA, SIEVE_ITERATIONS: SIEVE_ITERATIONS,
+    FOREST_HEIGHT_MIN: FOREST_HEIGHT_MIN, REFERENCE_YEAR: REFERENCE_YEAR,
+    AGREEMENT_BAND: AGREEMENT_BAND, MAJORITY_THRESHOLD: MAJORITY_THRESHOLD, WEIGHTED_SCALE: WEIGHTED_SCALE, WEIGHTED_MAJORITY: WEIGHTED_MAJORITY,
+    DATASET_WEIGHTS: DATASET_WEIGHTS, AGREEMENT_RADIUS: AGREEMENT_RADIUS, NORMALIZE_BY_COVERAGE: NORMALIZE_BY_COVERAGE,
+    AGGREGATION_MODE: AGGREGATION_MODE, AGGREGATION_CRS: AGGREGATION_CRS, FOREST_FRACTION_MIN: FOREST_FRACTION_MIN,
+    FOREST_FRACTION_BY_DATASET: FOREST_FRACTION_BY_DATASET, VIS_BUFFER: VIS_BUFFER,
+    EXPORT_TARGET: EXPORT_TARGET, EXPORT_ASSET_ID: EXPORT_ASSET_ID, EXPORT_FOLDER: EXPORT_FOLDER,
+    EXPORT_DESCRIPTION: EXPORT_DESCRIPTION, GCS_BUCKET: GCS_BUCKET, GCS_PREFIX: GCS_PREFIX,
+    BIGQUERY_DATASET: BIGQUERY_DATASET, EXPORT_AGREEMENT_BITS: EXPORT_AGREEMENT_BITS, EXPORT_PROFILE: EXPORT_PROFILE,
+    EXPORT_FOREST_TYPE: EXPORT_FOREST_TYPE,
+    numRows: numRows, numCols: numCols, TILING_MODE: TILING_MODE, MAX_PIXELS_PER_TILE: MAX_PIXELS_PER_TILE,
+    ALIGN_TILES_TO_UTM: ALIGN_TILES_TO_UTM, MODULE_PATH: MODULE_PATH, DROP_DATASETS: DROP_DATASETS,
+    ADD_DATASETS: ADD_DATASETS, USE_APP: USE_APP, QUEUE_EXPORTS: QUEUE_EXPORTS, FORCE_CRS: FORCE_CRS,
+    MULTI_ZONE_CRS: MULTI_ZONE_CRS, EQUAL_AREA_CRS: EQUAL_AREA_CRS, SENSITIVITY_MODE: SENSITIVITY_MODE,
+    SENSITIVITY_SIEVE_PIXELS: SENSITIVITY_SIEVE_PIXELS, SENSITIVITY_RADIUS: SENSITIVITY_RADIUS,
+    SENSITIVITY_HEIGHT_MIN: SENSITIVITY_HEIGHT_MIN, SENSITIVITY_MAJORITY: SENSITIVITY_MAJORITY
+  };
+}
+
+// Value lists of the sensitivity analysis (PART 0H), keyed by module option
+function sensitivityLists() {
+  return {
+    sieveThresholdPixels: SENSITIVITY_SIEVE_PIXELS,
+    agreementRadius: SENSITIVITY_RADIUS,
+    forestHeightMin: SENSITIVITY_HEIGHT_MIN,
+    majorityThreshold: SENSITIVITY_MAJORITY
+  };
 }
 
-var forestAgreementVis = prepareVisLayer(forestAgreementFiltered);
-var forestAgreementVis_raw  = prepareVisLayer(forestAgreement);
-
-// Palette for 0–9 agreement values
-var palette = ['#D3D3D3', '#FF0000', '#F08080', '#FFA500', '#FFD580',
-               '#FFFF00', '#CCCC00', '#90EE90', '#32CD32', '#006400'];
-var labels = ['0 maps', '1 map', '2 maps', '3 maps', '4 maps',
-              '5 maps', '6 maps', '7 maps', '8 maps', '9 maps'];
-
-// Add Layers
-var visParams = {min: 0, max: 9, palette: palette};
-Map.addLayer(forestAgreementVis, visParams, 'Forest Agreement Buffer (Filtered)');
-Map.addLayer(forestAgreementVis_raw, visParams, 'Forest Agreement Buffer (Raw)');
-Map.centerObject(visROI);
-
-// Legend UI
-var legend = ui.Panel({style: {position: 'bottom-left', padding: '8px 15px'}});
-legend.add(ui.Label({value: 'Legend: Forest Agreement', style: {fontWeight: 'bold', fontSize: '16px'}}));
-var makeRow = function(color, name) {
-  return ui.Panel({
-    widgets: [
-      ui.Label({style: {backgroundColor: color, padding: '8px', margin: '0 0 4px 0'}}),
-      ui.Label({value: name, style: {margin: '0 0 4px 6px'}})
-    ],
-    layout: ui.Panel.Layout.Flow('horizontal')
+// PART 1-9 for one ROI with the current PART 0 settings; run once (headless) or by the app's "Run" button (PART 10).
+// "input" describes where the ROI came from (run manifest).
+function runForestAgreement(roi, input) {
+
+  ///////////////////////////////////////
+  // PART 1: DEFINED REGION OF INTEREST
+  ///////////////////////////////////////
+
+  // Clear the layers, panels and click handler of a previous run (app)
+  Map.layers().reset();
+  Map.widgets().reset();
+  Map.unlisten();
+
+  // CHECK: aggregation mode; 'native' runs on the 10 m grid instead of TARGET_RESOLUTION
+  if (fal.AGGREGATION_MODES.indexOf(AGGREGATION_MODE) === -1) {
+    throw new Error('ERROR: AGGREGATION_MODE must be "resample", "fraction" or "native", got "' + AGGREGATION_MODE + '".');
+  }
+  // Resolution of this run (TARGET_RESOLUTION itself is left as set in PART 0 / the app)
+  var resolution = TARGET_RESOLUTION;
+  if (AGGREGATION_MODE === 'native' && resolution !== fal.NATIVE_RESOLUTION) {
+    print('ℹ️ AGGREGATION_MODE = "native": this run uses ' + fal.NATIVE_RESOLUTION + ' m instead of TARGET_RESOLUTION.');
+    resolution = fal.NATIVE_RESOLUTION;
+  }
+
+  // CHECK: sieve mode
+  if (fal.SIEVE_MODES.indexOf(SIEVE_MODE) === -1) {
+    throw new Error('ERROR: SIEVE_MODE must be "pixels", "class" or "forest", got "' + SIEVE_MODE + '".');
+  }
+  if (!(SIEVE_MMU_HA > 0) || !(SIEVE_ITERATIONS >= 1)) {
+    throw new Error('ERROR: SIEVE_MMU_HA must be > 0 (hectares) and SIEVE_ITERATIONS at least 1.');
+  }
+
+  // CHECK: agreement band
+  if (AGREEMENT_BAND !== 'agreement' && AGREEMENT_BAND !== 'weighted') {
+    throw new Error('ERROR: AGREEMENT_BAND must be either "agreement" or "weighted", got "' + AGREEMENT_BAND + '".');
+  }
+
+  // CHECK: tiling
+  if (TILING_MODE !== 'Auto' && TILING_MODE !== 'Fixed') {
+    throw new Error('ERROR: TILING_MODE must be either "Auto" or "Fixed", got "' + TILING_MODE + '".');
+  }
+  if (!(MAX_PIXELS_PER_TILE >= 1e6)) {
+    throw new Error('ERROR: MAX_PIXELS_PER_TILE must be at least 1e6, got "' + MAX_PIXELS_PER_TILE + '".');
+  }
+
+  // Export targets (PART 0B); unknown targets or missing bucket names stop here, before any task is created
+  var exportSettings = {
+    target: EXPORT_TARGET, folder: EXPORT_FOLDER, bucket: GCS_BUCKET, prefix: GCS_PREFIX,
+    bigQueryDataset: BIGQUERY_DATASET
+  };
+  fal.checkExportSettings(exportSettings);
+
+  // CHECK: export profile
+  if (EXPORT_PROFILE !== 'agreement' && EXPORT_PROFILE !== 'multiband') {
+    throw new Error('ERROR: EXPORT_PROFILE must be either "agreement" or "multiband", got "' + EXPORT_PROFILE + '".');
+  }
+
+  // CHECK: CRS settings
+  if (MULTI_ZONE_CRS !== 'split' && MULTI_ZONE_CRS !== 'equal-area') {
+    throw new Error('ERROR: MULTI_ZONE_CRS must be either "split" or "equal-area", got "' + MULTI_ZONE_CRS + '".');
+  }
+
+
+  Map.addLayer(ee.FeatureCollection([ee.Feature(roi)]).style({
+    color:'black', fillColor:'00000000', width:2
+  }), {}, 'ROI');
+  Map.centerObject(roi);
+
+  ///////////////////////////////////////
+  // PART 2-6: FOREST AGREEMENT LAYER (SHARED MODULE)
+  ///////////////////////////////////////
+  // Forest class definitions, reclassification, dataset loading, the agreement sum and the
+  // small-patch filter are defined once in src/module/GEE_forest_agreement_MODULE_v1.0.js
+  // and shared with the GEODATA script.
+
+  var agreement = fal.buildAgreement(roi, {
+    targetResolution: resolution,
+    sieveThresholdPixels: SIEVE_THRESHOLD_PIXELS,
+    sieveMode: SIEVE_MODE,
+    sieveMmuHa: SIEVE_MMU_HA,
+    sieveForestMin: MAJORITY_THRESHOLD,
+    sieveIterations: SIEVE_ITERATIONS,
+    forestHeightMin: FOREST_HEIGHT_MIN,
+    agreementRadius: AGREEMENT_RADIUS,
+    referenceYear: REFERENCE_YEAR,
+    weights: DATASET_WEIGHTS,
+    weightedScale: WEIGHTED_SCALE,
+    dropDatasets: DROP_DATASETS,
+    addDatasets: ADD_DATASETS,
+    normalizeByCoverage: NORMALIZE_BY_COVERAGE,
+    aggregation: AGGREGATION_MODE,
+    gridCrs: AGGREGATION_CRS,
+    fractionThreshold: FOREST_FRACTION_MIN,
+    fractionThresholds: FOREST_FRACTION_BY_DATASET
+  });
+
+  var reclassifiedList = agreement.masks;                 // per-dataset binary forest masks, registry order
+  var forestAgreement = agreement.raw;                    // number of maps agreeing on forest (0-N)
+  // CHECK: majority threshold within 1..number of datasets
+  if (!(MAJORITY_THRESHOLD >= 1 && MAJORITY_THRESHOLD <= agreement.count)) {
+    throw new Error('ERROR: MAJORITY_THRESHOLD must be between 1 and ' + agreement.count +
+                    ' (number of datasets), got "' + MAJORITY_THRESHOLD + '".');
+  }
+  // CHECK: sensitivity lists (PART 0H), before any export task is created
+  if (SENSITIVITY_MODE) fal.sensitivityGroups(agreement, sensitivityLists(), MAJORITY_THRESHOLD);
+
+  var forestAgreementFiltered = agreement.filtered;       // small patches reassigned
+
+  // Weighted consensus (0–WEIGHTED_SCALE), small patches replaced like in the filtered layer
+  var weightedAgreementFiltered = agreement.weightedFiltered;
+
+  // Majority forest (1/0) from the band chosen in AGREEMENT_BAND, used in the summaries below
+  var majority = {band: AGREEMENT_BAND, threshold: (AGREEMENT_BAND === 'weighted') ? WEIGHTED_MAJORITY : MAJORITY_THRESHOLD};
+  var majorityForest = fal.majorityMask(agreement, majority.band, majority.threshold);
+  var majorityLabel = (AGREEMENT_BAND === 'weighted')
+    ? 'Weighted consensus >= ' + WEIGHTED_MAJORITY
+    : 'Forest agreement >= ' + MAJORITY_THRESHOLD + ' maps';
+
+  // Forest type within the majority forest (GFT subtypes + GLCLU forest types, see EXPORT_FOREST_TYPE)
+  var forestType = fal.forestTypeImage(agreement, roi, majorityForest);
+
+  // Edition (year) each dataset actually uses for REFERENCE_YEAR
+  print('Dataset editions used for reference year ' + REFERENCE_YEAR + ':', agreement.editions);
+
+  // Output names carry the reference year, e.g. ForestAgreement_2020
+  var exportName = EXPORT_DESCRIPTION + '_' + REFERENCE_YEAR;
+  var exportAssetId = EXPORT_ASSET_ID + '_' + REFERENCE_YEAR;
+
+
+
+  ///////////////////////////////////////
+  // PART 7: LIGHTWEIGHT VISUALIZATION
+  ///////////////////////////////////////
+
+  // Smaller visualization area + downscaled layer
+  var visROI = roi.centroid(ee.ErrorMargin(1)).buffer(VIS_BUFFER);
+
+  // Function to standardize reproject + clip for any agreement layer
+  function prepareVisLayer(image) {
+    return image
+      .reproject({crs: 'EPSG:4326', scale: VIS_RESOLUTION})
+      .clip(visROI);
+  }
+
+  var forestAgreementVis = prepareVisLayer(forestAgreementFiltered);
+  var forestAgreementVis_raw  = prepareVisLayer(forestAgreement);
+
+  // Palette for 0–N agreement values (N = number of datasets in the registry)
+  var palette = fal.agreementPalette(agreement.count);
+  var labels = fal.agreementLabels(agreement.count);
+
+  // Forest type layer: codes 1 / 10 / 20 / 99 shown as light green / dark green / orange / gray
+  var FOREST_TYPE_VIS = {min: 1, max: 4, palette: ['#90EE90', '#006400', '#FFA500', '#A9A9A9']};
+  function forestTypeVisLayer(image) {
+    return image.remap([1, 10, 20, 99], [1, 2, 3, 4]).selfMask();
+  }
+
+  // Add Layers
+  var visParams = {min: 0, max: agreement.count, palette: palette};
+  Map.addLayer(forestAgreementVis, visParams, 'Forest Agreement Buffer (Filtered)');
+  Map.addLayer(forestAgreementVis_raw, visParams, 'Forest Agreement Buffer (Raw)');
+  Map.addLayer(prepareVisLayer(weightedAgreementFiltered),
+               {min: 0, max: WEIGHTED_SCALE, palette: fal.BASE_PALETTE},
+               'Weighted Consensus Buffer (Filtered)', AGREEMENT_BAND === 'weighted');
+  Map.centerObject(visROI);
+
+  // Which maps agree (for the Inspector tab): agree_bits value plus one 0/1 band per dataset key
+  print('Agreement bits (value: dataset):', agreement.names.map(function(name, i) {
+    return Math.pow(2, i) + ': ' + name;
+  }));
+  Map.addLayer(prepareVisLayer(agreement.bits.addBands(agreement.votes)),
+               {bands: ['agree_bits'], min: 0, max: Math.pow(2, agreement.count) - 1},
+               'Agreeing Maps Buffer (bits + per dataset)', false);
+  // Number of datasets with valid data; dark = gaps that count as non-forest (see NORMALIZE_BY_COVERAGE)
+  Map.addLayer(prepareVisLayer(agreement.coverage), {min: 0, max: agreement.count, palette: ['#000000', '#FFFFFF']},
+               'Datasets with valid data (coverage) Buffer', false);
+  Map.addLayer(prepareVisLayer(agreement.changed.selfMask()), {palette: ['#FF00FF']},
+               'Changed by sieve filter Buffer', false);
+  // Forest type: naturally regenerating (1), primary (10), planted (20), unknown (99)
+  Map.addLayer(prepareVisLayer(forestTypeVisLayer(forestType)), FOREST_TYPE_VIS, 'Forest Type Buffer', false);
+
+  // Legend UI
+  var legend = ui.Panel({style: {position: 'bottom-left', padding: '8px 15px'}});
+  legend.add(ui.Label({value: 'Legend: Forest Agreement', style: {fontWeight: 'bold', fontSize: '16px'}}));
+  var makeRow = function(color, name) {
+    return ui.Panel({
+      widgets: [
+        ui.Label({style: {backgroundColor: color, padding: '8px', margin: '0 0 4px 0'}}),
+        ui.Label({value: name, style: {margin: '0 0 4px 6px'}})
+      ],
+      layout: ui.Panel.Layout.Flow('horizontal')
+    });
+  };
+  for (var i = 0; i < palette.length; i++) legend.add(makeRow(palette[i], labels[i]));
+  Map.add(legend);
+
+  // Click-to-inspect panel: per-dataset native class and forest vote, agreement and ETH canopy height
+  fal.addInspector(agreement, roi, {scale: resolution});
+
+
+  ///////////////////////////////////////
+  // PART 8: ROI-BASED TILED EXPORT
+  ///////////////////////////////////////
+
+  // CRS per tile (PART 0G), chosen by fal.chooseCrs from the tile bounds
+  var crsOptions = {forceCrs: FORCE_CRS, multiZone: MULTI_ZONE_CRS, equalAreaCrs: EQUAL_AREA_CRS};
+
+  // Tile grid (client-side) over the ROI bounding box b = [minLon, minLat, maxLon, maxLat]
+  // 'Fixed': numRows × numCols tiles. 'Auto': enough tiles per strip to stay below MAX_PIXELS_PER_TILE
+  // at the resolution of the run; with ALIGN_TILES_TO_UTM the strips follow the 6° UTM zones.
+  function tileGrid(b) {
+    var strips = [[b[0], b[2]]];
+    if (TILING_MODE === 'Auto' && ALIGN_TILES_TO_UTM) {
+      strips = [];
+      var west = b[0];
+      while (west < b[2]) {
+        var zoneEast = Math.min(b[2], -180 + 6 * (Math.floor((west + 180) / 6) + 1));
+        strips.push([west, zoneEast]);
+        west = zoneEast;
+      }
+    }
+    // Widest latitude in the box (closest to the equator) so no tile exceeds the pixel limit
+    var refLat = (b[1] <= 0 && b[3] >= 0) ? 0 : Math.min(Math.abs(b[1]), Math.abs(b[3]));
+
+    var tiles = [];
+    var colOffset = 0;
+    strips.forEach(function(strip) {
+      var rows = numRows;
+      var cols = numCols;
+      if (TILING_MODE === 'Auto') {
+        var widthM = (strip[1] - strip[0]) * 111320 * Math.cos(refLat * Math.PI / 180);
+        var heightM = (b[3] - b[1]) * 110574;
+        var pixels = widthM * heightM / (resolution * resolution);
+        var count = Math.max(1, Math.ceil(pixels / MAX_PIXELS_PER_TILE));
+        cols = Math.max(1, Math.min(count, Math.round(Math.sqrt(count * widthM / heightM))));
+        rows = Math.ceil(count / cols);
+      }
+      var width = (strip[1] - strip[0]) / cols;
+      var height = (b[3] - b[1]) / rows;
+      for (var c = 0; c < cols; c++) {
+        for (var r = 0; r < rows; r++) {
+          tiles.push({col: colOffset + c, row: r,
+                      bounds: [strip[0] + c * width, b[1] + r * height,
+                               strip[0] + (c + 1) * width, b[1] + (r + 1) * height]});
+        }
+      }
+      colOffset += cols;
+    });
+    return tiles;
+  }
+
+  // Clip image once to the ROI (before tiling)
+  var exportProfile = null;
+  var forestAgreementExport;
+  if (EXPORT_PROFILE === 'multiband') {
+    // Bands: agreement_raw, agreement, f_<key> per dataset, coverage, sieve_changed, + weighted, + agree_bits, + forest_type; one type, no-data -1
+    exportProfile = fal.multibandExport(agreement, {weighted: AGREEMENT_BAND === 'weighted', bits: EXPORT_AGREEMENT_BITS,
+                                                    forestType: EXPORT_FOREST_TYPE ? forestType : null});
+    forestAgreementExport = exportProfile.image.clip(roi);
+  } else {
+    // Bands: agreement, + weighted (AGREEMENT_BAND = 'weighted'), + agree_bits (EXPORT_AGREEMENT_BITS), + forest_type (EXPORT_FOREST_TYPE)
+    forestAgreementExport = forestAgreementFiltered;
+    if (AGREEMENT_BAND === 'weighted') forestAgreementExport = forestAgreementExport.addBands(weightedAgreementFiltered);
+    if (EXPORT_AGREEMENT_BITS) forestAgreementExport = forestAgreementExport.addBands(agreement.bits);
+    if (EXPORT_FOREST_TYPE) forestAgreementExport = forestAgreementExport.addBands(forestType);
+    forestAgreementExport = forestAgreementExport.clip(roi);
+    // One data type for all bands: Float with the weighted score, else the smallest integer type that fits
+    forestAgreementExport = (AGREEMENT_BAND === 'weighted') ? forestAgreementExport.toFloat()
+      : EXPORT_AGREEMENT_BITS ? fal.castBits(forestAgreementExport, agreement.count)
+      : forestAgreementExport.toByte();
+  }
+  var geotiffOptions = exportProfile ? {noData: exportProfile.noData} : {};
+
+  // Style sidecar of the multi-band tiles (band descriptions, legend, QGIS/SLD/ArcGIS styles)
+  if (exportProfile && QUEUE_EXPORTS) {
+    var sidecar = fal.exportSidecar(agreement, exportProfile, {
+      reference_year: REFERENCE_YEAR, resolution_m: resolution, files: exportName + '_tile_*'
+    });
+    fal.exportTable(fal.sidecarFeature(sidecar), exportName + '_style', exportSettings, {fileFormat: 'GeoJSON'});
+    print('🎨 QGIS style (save as .qml next to the GeoTIFFs, legend on band ' + sidecar.legend_band + '):', sidecar.qml);
+  }
+
+  // ROI bounds -> tile grid -> only tiles that intersect the ROI itself (not just its bounding box)
+  // A tile spanning several UTM zones becomes one part per zone (MULTI_ZONE_CRS = 'split'), e.g. c0r0_32630.
+  // 'Fixed' mode numbers the tiles that intersect the ROI instead (0, 1, 2, ...), as the v1.0 file names did.
+  roi.bounds(ee.ErrorMargin(1)).coordinates().get(0).evaluate(function(ring) {
+    var tiles = [];
+    tileGrid(fal.ringBounds(ring)).forEach(function(tile) {
+      var choice = fal.chooseCrs(tile.bounds, crsOptions);
+      choice.parts.forEach(function(part) {
+        tiles.push(ee.Feature(ee.Geometry.Rectangle(part.bounds), {
+          tile_id: 'c' + tile.col + 'r' + tile.row + (choice.parts.length > 1 ? '_' + part.crs.split(':')[1] : ''),
+          col: tile.col,
+          row: tile.row,
+          min_lon: part.bounds[0],
+          min_lat: part.bounds[1],
+          max_lon: part.bounds[2],
+          max_lat: part.bounds[3],
+          crs: part.crs,
+          crs_method: choice.method,
+          crs_note: choice.note
+        }));
+      });
+    });
+    var tileFC = ee.FeatureCollection(tiles).filterBounds(roi);
+
+    // Export Loop (QUEUE_EXPORTS)
+    tileFC.toList(tileFC.size()).evaluate(function(tileList) {
+      print('🧩 Tiling (' + TILING_MODE + '): ' + tileList.length + ' tiles intersect the ROI');
+      if (!QUEUE_EXPORTS) return;
+      if (TILING_MODE === 'Fixed') {
+        tileList.forEach(function(t, i) { t.properties.tile_id = String(i); });
+      }
+
+      // Tile index: tile ID, bounds (degrees) and CRS (with how it was chosen) of every exported tile
+      var tileIndex = ee.FeatureCollection(tileList.map(function(t) { return ee.Feature(t); }));
+      fal.exportTable(tileIndex, exportName + '_TileIndex', exportSettings, {
+        selectors: ['tile_id', 'col', 'row', 'min_lon', 'min_lat', 'max_lon', 'max_lat', 'crs', 'crs_method', 'crs_note']
+      });
+
+      // Run manifest: settings, images used per dataset and the CRS of every tile, next to the tiles
+      // (JSON + CSV) and as properties of Asset exports
+      var manifest = fal.runManifest(agreement, roi, {
+        script: SCRIPT_VERSION,
+        input: input || 'roi geometry',
+        settings: part0Settings(),
+        exports: tileList.map(function(t) {
+          return {name: exportName + '_tile_' + t.properties.tile_id, target: EXPORT_TARGET, crs: t.properties.crs,
+                  crs_method: t.properties.crs_method, crs_note: t.properties.crs_note,
+                  bounds: [t.properties.min_lon, t.properties.min_lat, t.properties.max_lon, t.properties.max_lat]};
+        })
+      });
+      var manifestProps = fal.manifestProperties(manifest);
+      fal.exportTable(fal.manifestFeature(manifest), exportName + '_Manifest', exportSettings, {fileFormat: 'GeoJSON'});
+      fal.exportTable(fal.manifestTable(manifest), exportName + '_ManifestTable', exportSettings);
+      print('🧾 Run manifest: ' + exportName + '_Manifest (.geojson) and ' + exportName + '_ManifestTable (.csv)');
+
+      tileList.forEach(function(t) {
+        var geom = ee.Feature(t).geometry();
+        var crsStr = t.properties.crs;
+        var tileName = exportName + '_tile_' + t.properties.tile_id;
+        var descDrive = tileName + '_Drive';
+        var descAsset = tileName + '_Asset';
+        var assetId = exportAssetId + '_tile_' + t.properties.tile_id;
+        print('📡 Exporting tile', t.properties.tile_id, 'with CRS', crsStr + ' (' + t.properties.crs_note + ')');
+        if (EXPORT_TARGET === 'Drive') {
+          Export.image.toDrive({
+            image: forestAgreementExport.clip(geom),
+            description: descDrive,
+            folder: EXPORT_FOLDER,
+            fileNamePrefix: descDrive,
+            region: geom,
+            scale: resolution,
+            crs: crsStr,
+            fileFormat: 'GeoTIFF',
+            formatOptions: geotiffOptions,
+            maxPixels: 1e13
+          });
+        } else if (EXPORT_TARGET === 'Asset') {
+
+          Export.image.toAsset({
+            image: forestAgreementExport.clip(geom).set(manifestProps).set({
+              'export_crs': crsStr, 'crs_method': t.properties.crs_method, 'crs_note': t.properties.crs_note
+            }),
+            description: descAsset,
+            assetId: assetId,
+            region: geom,
+            scale: resolution,
+            crs: crsStr,
+            maxPixels: 1e13
+          });
+        } else if (EXPORT_TARGET === 'GCS') {
+          Export.image.toCloudStorage({
+            image: forestAgreementExport.clip(geom),
+            description: tileName + '_GCS',
+            bucket: GCS_BUCKET,
+            fileNamePrefix: fal.gcsPath(exportSettings, tileName),
+            region: geom,
+            scale: resolution,
+            crs: crsStr,
+            fileFormat: 'GeoTIFF',
+            formatOptions: geotiffOptions,
+            maxPixels: 1e13
+          });
+        }
+
+      });
+
+    });
   });
-};
-for (var i = 0; i < palette.length; i++) legend.add(makeRow(palette[i], labels[i]));
-Map.add(legend);
 
 
-///////////////////////////////////////
-// PART 8: ROI-BASED TILED EXPORT
-///////////////////////////////////////
 
-// Compute best UTM EPSG for geometry - Function
-function getUTMEPSG(geometry) {
-  var centroid = geometry.centroid(ee.ErrorMargin(1));
-  var lon = ee.Number(centroid.coordinates().get(0));
-  var lat = ee.Number(centroid.coordinates().get(1));
-  var utmZone = lon.add(180).divide(6).floor().add(1);
-  var epsg = ee.Algorithms.If(
-    lat.gt(0),
-    ee.String('EPSG:326').cat(utmZone.format('%02d')),  // Northern hemisphere
-    ee.String('EPSG:327').cat(utmZone.format('%02d'))   // Southern hemisphere
-  );
-
-  return ee.String(epsg);
-}
+  /////////////////////////////////////////////////////////
+  // PART 9: FOREST EXTENT SUMMARY (per dataset, ROI-wide)
+  ////////////////////////////////////////////////////////
+  // This section ranks the registry layers by forest extent (area) within the ROI, from largest to smallest
+
 
-// Get ROI bounds
-var extent = roi.bounds();
-var coords = extent.coordinates().get(0);
-var lons = ee.List(coords).map(function(c){ return ee.List(c).get(0); });
-var lats = ee.List(coords).map(function(c){ return ee.List(c).get(1); });
-var minLon = ee.Number(lons.reduce(ee.Reducer.min()));
-var maxLon = ee.Number(lons.reduce(ee.Reducer.max()));
-var minLat = ee.Number(lats.reduce(ee.Reducer.min()));
-var maxLat = ee.Number(lats.reduce(ee.Reducer.max()));
-
-// Define tile size
-var gridSizeLon = maxLon.subtract(minLon).divide(numCols);
-var gridSizeLat = maxLat.subtract(minLat).divide(numRows);
-
-// Clip image once to the ROI (before tiling)
-var forestAgreementExport = forestAgreementFiltered
-                             .clip(roi)
-                             .toByte();  
-
-// Build a list of tile geometries (server‑side)
-var cols = ee.List.sequence(0, numCols - 1);
-var rows = ee.List.sequence(0, numRows - 1);
-
-var tileFeatures = cols.map(function(col){
-  return rows.map(function(row){
-    var lon0 = minLon.add(ee.Number(col).multiply(gridSizeLon));
-    var lat0 = minLat.add(ee.Number(row).multiply(gridSizeLat));
-    var tileGeom = ee.Geometry.Rectangle([lon0, lat0,
-                                          lon0.add(gridSizeLon),
-                                          lat0.add(gridSizeLat)]);
-    return ee.Feature(tileGeom, {col: col, row: row});
+  var forestLayers = agreement.names.map(function(name, i) {
+    return {name: name, year: agreement.editions[i].Year, image: reclassifiedList[i], valid: agreement.valid[i]};
   });
-}).flatten();
-
-var tileFC = ee.FeatureCollection(tileFeatures)
-              .filterBounds(roi);  
-
-
-// Export Loop
-tileFC.toList(tileFC.size()).evaluate(function(tileList) {
-  tileList.forEach(function(t, i) {
-    var feature = ee.Feature(t);
-    var geom = feature.geometry();
-    var tileName = EXPORT_DESCRIPTION + '_tile_' + i;
-    var descDrive = tileName + '_Drive';
-    var descAsset = tileName + '_Asset';
-    var assetId = EXPORT_ASSET_ID + '_tile_' + i;
-    getUTMEPSG(geom).evaluate(function(crsStr) {
-      print('📡 Exporting tile', i, 'with CRS', crsStr);
-      if (EXPORT_TARGET === 'Drive') {
-        Export.image.toDrive({
-          image: forestAgreementExport.clip(geom),
-          description: descDrive,
-          folder: EXPORT_FOLDER,
-          fileNamePrefix: descDrive,
-          region: geom,
-          scale: TARGET_RESOLUTION,
-          crs: crsStr,
-          fileFormat: 'GeoTIFF',
-          maxPixels: 1e13
-        });
-      } else if (EXPORT_TARGET === 'Asset') {
-
-        Export.image.toAsset({
-          image: forestAgreementExport.clip(geom),
-          description: descAsset,
-          assetId: assetId,
-          region: geom,
-          scale: TARGET_RESOLUTION,
-          crs: crsStr,
-          maxPixels: 1e13
-        });
-      } else {
-        print("⚠️ Unknown EXPORT_TARGET setting. Choose 'Drive' or 'Asset'.");
-      }
 
+  // Compute total ROI area (ha)
+  var roiAreaHa = ee.Image.pixelArea().divide(10000)
+    .reduceRegion({
+      reducer: ee.Reducer.sum(),
+      geometry: roi,
+      scale: resolution,
+      maxPixels: 1e13
+    })
+    .getNumber('area');
+
+  // Compute forest area + forest % for each dataset
+  var statsList = forestLayers.map(function(layer) {
+    var forestMask = layer.image.eq(1);
+    var areaImage = ee.Image.pixelArea()
+      .divide(10000)
+      .updateMask(forestMask);
+    var forestAreaHa = areaImage.reduceRegion({
+      reducer: ee.Reducer.sum(),
+      geometry: roi,
+      scale: resolution,
+      maxPixels: 1e13
+    }).getNumber('area');
+    var forestPct = forestAreaHa.divide(roiAreaHa).multiply(100);
+    // Share of the area where the dataset has valid data (gaps count as non-forest above)
+    var coveredAreaHa = ee.Image.pixelArea().divide(10000)
+      .updateMask(layer.valid)
+      .reduceRegion({
+        reducer: ee.Reducer.sum(),
+        geometry: roi,
+        scale: resolution,
+        maxPixels: 1e13
+      }).getNumber('area');
+    return ee.Feature(null, {
+      'Layer': layer.name,
+      'Year': layer.year,
+      'Forest_area_ha': forestAreaHa,
+      'Forest_pct_total': forestPct,
+      'Coverage_pct': coveredAreaHa.divide(roiAreaHa).multiply(100)
     });
-
   });
 
-});
+  // Convert to FeatureCollection --> turn a list of Features into a proper table
+  var fc = ee.FeatureCollection(statsList);
+
+  // Add ranking (highest % = rank 1)
+  var ranked = fc.sort('Forest_pct_total', false)
+    .map(function(feat) {
+      var rank = ee.Number(1)
+        .add(fc.filter(ee.Filter.gt('Forest_pct_total', feat.get('Forest_pct_total'))).size());
+      return feat.set('Rank', rank);
+    });
+
+  print('Forest extent per dataset:', ranked);
+  print('ROI area (ha):', roiAreaHa);
+
+  // Majority-forest extent from AGREEMENT_BAND, appended below the ranked datasets (not ranked)
+  var majorityAreaHa = ee.Image.pixelArea().divide(10000)
+    .updateMask(majorityForest)
+    .reduceRegion({
+      reducer: ee.Reducer.sum(),
+      geometry: roi,
+      scale: resolution,
+      maxPixels: 1e13
+    })
+    .getNumber('area');
+
+  // Coverage_pct of the majority row: share of the area where every dataset has valid data
+  var fullCoverageHa = ee.Image.pixelArea().divide(10000)
+    .updateMask(agreement.coverage.eq(agreement.count))
+    .reduceRegion({
+      reducer: ee.Reducer.sum(),
+      geometry: roi,
+      scale: resolution,
+      maxPixels: 1e13
+    })
+    .getNumber('area');
+
+  var summary = ranked.merge(ee.FeatureCollection([ee.Feature(null, {
+    'Layer': majorityLabel,
+    'Year': REFERENCE_YEAR,
+    'Forest_area_ha': majorityAreaHa,
+    'Forest_pct_total': majorityAreaHa.divide(roiAreaHa).multiply(100),
+    'Coverage_pct': fullCoverageHa.divide(roiAreaHa).multiply(100)
+  })]));
+
+  print(majorityLabel + ' (ha):', majorityAreaHa);
+
+  // Pixels reassigned by the small-patch (sieve) filter (SIEVE_MODE), see also the sieve_changed band
+  var changedAreaHa = ee.Image.pixelArea().divide(10000)
+    .updateMask(agreement.changed)
+    .reduceRegion({
+      reducer: ee.Reducer.sum(),
+      geometry: roi,
+      scale: resolution,
+      maxPixels: 1e13
+    })
+    .getNumber('area');
+  var changedPixels = agreement.changed.selfMask()
+    .reduceRegion({
+      reducer: ee.Reducer.count(),
+      geometry: roi,
+      scale: resolution,
+      maxPixels: 1e13
+    })
+    .getNumber('sieve_changed');
+  var sieveSummary = ee.FeatureCollection([ee.Feature(null, {
+    'Sieve_mode': SIEVE_MODE,
+    'MMU_pixels': agreement.sieveMinPixels,
+    'MMU_ha': agreement.sieveMinPixels * agreement.scale * agreement.scale / 10000,
+    'Pixels_changed': changedPixels,
+    'Area_changed_ha': changedAreaHa,
+    'Pct_changed': changedAreaHa.divide(roiAreaHa).multiply(100)
+  })]);
+  print('Sieve filter (pixels reassigned):', sieveSummary);
+
+  // Canopy height (ETH) within the majority forest: mean, median, p90 (m) and % above 5 / 10 / 15 m
+  var canopyHeightImg = fal.canopyHeight(agreement, roi);
+  var canopyHeightStats = fal.canopyHeightImage(canopyHeightImg, majorityForest)
+    .reduceRegion({
+      reducer: fal.canopyHeightReducer(),
+      geometry: roi,
+      scale: resolution,
+      maxPixels: 1e13
+    });
+  var canopyHeightSummary = ee.FeatureCollection([
+    ee.Feature(null, canopyHeightStats.set('Forest_mask', majorityLabel).set('Year', REFERENCE_YEAR))
+  ]);
+  print('Canopy height (ETH) within the majority forest:', canopyHeightStats);
+
 
+  if (QUEUE_EXPORTS) fal.exportTable(summary, 'ForestExtentSummary_' + REFERENCE_YEAR, exportSettings, {bigQuery: true});
+  if (QUEUE_EXPORTS) fal.exportTable(sieveSummary, 'SieveSummary_' + REFERENCE_YEAR, exportSettings);
+  if (QUEUE_EXPORTS) fal.exportTable(canopyHeightSummary, 'CanopyHeight_' + REFERENCE_YEAR, exportSettings);
 
+  // Sensitivity analysis (PART 0H): the extent summary above for every parameter combination
+  if (SENSITIVITY_MODE) {
+    var sensitivity = fal.sensitivityAnalysis(agreement, roi, sensitivityLists(), {
+      majorityThreshold: MAJORITY_THRESHOLD, region: roi, scale: resolution
+    });
+    print('🔁 Sensitivity analysis - parameter sets:', sensitivity.aggregate_max('run'));
+    if (QUEUE_EXPORTS) {
+      fal.exportTable(sensitivity, 'SensitivityAnalysis_' + REFERENCE_YEAR, exportSettings, {
+        selectors: fal.SENSITIVITY_COLUMNS
+      });
+    }
+  }
+}
 
-/////////////////////////////////////////////////////////
-// PART 9: FOREST EXTENT SUMMARY (per dataset, ROI-wide)
-////////////////////////////////////////////////////////
-// This section ranks the 9 layers by forest extent (area) within the ROI, from largest to smallest
 
+///////////////////////////////////////
+// PART 10: APP (SIDEBAR) OR HEADLESS RUN
+///////////////////////////////////////
 
-var forestLayers = [
-  {name: 'JRC',        image: reclassifiedList[0]},
-  {name: 'ESRI-10m',   image: reclassifiedList[1]},
-  {name: 'DynamicWorld', image: reclassifiedList[2]},
-  {name: 'GLC-FCS30D',  image: reclassifiedList[3]},
-  {name: 'FROM-GLC10',   image: reclassifiedList[4]},
-  {name: 'GLCLU2020',    image: reclassifiedList[5]},
-  {name: 'PALSAR-2 FNF', image: reclassifiedList[6]},
-  {name: 'ETH',          image: reclassifiedList[7]},
-  {name: 'GFT',          image: reclassifiedList[8]}
+var ROI_SOURCES = ['Drawn geometry', 'Country / admin unit (GAUL)', 'Asset ID', 'Coordinates', 'Point + buffer'];
+
+// Numeric settings shown in the app: valid range, whole numbers only or not, and the PART 0 variable behind it
+var APP_SETTINGS = [
+  {label: 'Reference year', min: 2000, max: 2030, integer: true,
+   get: function() { return REFERENCE_YEAR; }, set: function(v) { REFERENCE_YEAR = v; }},
+  {label: 'Target resolution (m)', min: 10, max: 1000, integer: false,
+   get: function() { return TARGET_RESOLUTION; }, set: function(v) { TARGET_RESOLUTION = v; }},
+  {label: 'Visualization resolution (m)', min: 10, max: 5000, integer: false,
+   get: function() { return VIS_RESOLUTION; }, set: function(v) { VIS_RESOLUTION = v; }},
+  {label: 'Sieve threshold (pixels)', min: 1, max: 1000, integer: true,
+   get: function() { return SIEVE_THRESHOLD_PIXELS; }, set: function(v) { SIEVE_THRESHOLD_PIXELS = v; }},
+  {label: 'Agreement radius (pixels)', min: 1, max: 10, integer: true,
+   get: function() { return AGREEMENT_RADIUS; }, set: function(v) { AGREEMENT_RADIUS = v; }},
+  {label: 'Forest height min (m)', min: 0, max: 100, integer: true,
+   get: function() { return FOREST_HEIGHT_MIN; }, set: function(v) { FOREST_HEIGHT_MIN = v; }},
+  {label: 'Majority threshold (maps)', min: 1, max: 31, integer: true,
+   get: function() { return MAJORITY_THRESHOLD; }, set: function(v) { MAJORITY_THRESHOLD = v; }},
+  {label: 'Weighted majority (score)', min: 0, max: WEIGHTED_SCALE, integer: false,
+   get: function() { return WEIGHTED_MAJORITY; }, set: function(v) { WEIGHTED_MAJORITY = v; }},
+  {label: 'Visualization buffer (m)', min: 1000, max: 500000, integer: false,
+   get: function() { return VIS_BUFFER; }, set: function(v) { VIS_BUFFER = v; }},
+  {label: 'Tile rows', min: 1, max: 20, integer: true,
+   get: function() { return numRows; }, set: function(v) { numRows = v; }},
+  {label: 'Tile columns', min: 1, max: 20, integer: true,
+   get: function() { return numCols; }, set: function(v) { numCols = v; }}
 ];
 
-// Compute total ROI area (ha)
-var roiAreaHa = ee.Image.pixelArea().divide(10000)
-  .reduceRegion({
-    reducer: ee.Reducer.sum(),
-    geometry: roi,
-    scale: TARGET_RESOLUTION,
-    maxPixels: 1e13
-  })
-  .getNumber('area');
-
-// Compute forest area + forest % for each dataset
-var statsList = forestLayers.map(function(layer) {
-  var forestMask = layer.image.eq(1);
-  var areaImage = ee.Image.pixelArea()
-    .divide(10000)
-    .updateMask(forestMask);
-  var forestAreaHa = areaImage.reduceRegion({
-    reducer: ee.Reducer.sum(),
-    geometry: roi,
-    scale: TARGET_RESOLUTION,
-    maxPixels: 1e13
-  }).getNumber('area');
-  var forestPct = forestAreaHa.divide(roiAreaHa).multiply(100);
-  return ee.Feature(null, {
-    'Layer': layer.name,
-    'Forest_area_ha': forestAreaHa,
-    'Forest_pct_total': forestPct
-  });
-});
+// Trimmed text box value ('' when empty)
+function readText(box) {
+  return String(box.getValue() || '').trim();
+}
 
-// Convert to FeatureCollection --> turn a list of Features into a proper table
-var fc = ee.FeatureCollection(statsList);
+// Text box value as a number; empty or non-numeric text gives NaN
+function readNumber(text) {
+  text = String(text === undefined || text === null ? '' : text).trim();
+  return text === '' ? NaN : Number(text);
+}
 
-// Add ranking (highest % = rank 1)
-var ranked = fc.sort('Forest_pct_total', false)
-  .map(function(feat) {
-    var rank = ee.Number(1)
-      .add(fc.filter(ee.Filter.gt('Forest_pct_total', feat.get('Forest_pct_total'))).size());
-    return feat.set('Rank', rank);
-  });
+// ROI source and its inputs as text for the run manifest, e.g. 'Country / admin unit (GAUL): Ghana / Ashanti'
+function appRoiInput(source, inputs) {
+  var detail = '';
+  if (source === 'Country / admin unit (GAUL)') {
+    detail = [readText(inputs.country), readText(inputs.admin)].filter(Boolean).join(' / ');
+  } else if (source === 'Asset ID') {
+    detail = readText(inputs.asset);
+  } else if (source === 'Coordinates') {
+    detail = readText(inputs.coords);
+  } else if (source === 'Point + buffer') {
+    detail = readText(inputs.lon) + ', ' + readText(inputs.lat) + ' + ' + readText(inputs.radius) + ' m';
+  }
+  return detail ? source + ': ' + detail : source;
+}
 
-print('Forest extent per dataset:', ranked);
-print('ROI area (ha):', roiAreaHa);
+// ROI from the app inputs; calls back with (geometry) or (null, message)
+function appRoi(source, inputs, callback) {
+  if (source === 'Drawn geometry') {
+    var layers = Map.drawingTools().layers();
+    for (var l = 0; l < layers.length(); l++) {
+      if (layers.get(l).geometries().length() > 0) return callback(layers.get(l).toGeometry());
+    }
+    if (typeof roi !== 'undefined') return callback(roi);
+    return callback(null, 'Draw a polygon with the geometry tools first.');
+  }
+
+  if (source === 'Country / admin unit (GAUL)') {
+    var country = readText(inputs.country);
+    var admin = readText(inputs.admin);
+    if (!country) return callback(null, 'Enter a country name (GAUL ADM0_NAME), e.g. Ghana.');
+    var units = admin
+      ? ee.FeatureCollection('FAO/GAUL/2015/level1')
+          .filter(ee.Filter.eq('ADM0_NAME', country)).filter(ee.Filter.eq('ADM1_NAME', admin))
+      : ee.FeatureCollection('FAO/GAUL/2015/level0').filter(ee.Filter.eq('ADM0_NAME', country));
+    return units.size().evaluate(function(n, error) {
+      if (error || !n) {
+        return callback(null, 'No GAUL unit found for "' + country + (admin ? ' / ' + admin : '') +
+                              '" (names are case-sensitive, e.g. "Ghana" / "Ashanti").');
+      }
+      callback(units.geometry());
+    });
+  }
+
+  if (source === 'Asset ID') {
+    var assetId = readText(inputs.asset);
+    if (!assetId) return callback(null, 'Enter the ID of a table asset, e.g. projects/ee-username/assets/MyROI.');
+    var assetFc = ee.FeatureCollection(assetId);
+    return assetFc.size().evaluate(function(n, error) {
+      if (error) return callback(null, 'Asset "' + assetId + '" could not be read: ' + error);
+      if (!n) return callback(null, 'Asset "' + assetId + '" has no features.');
+      callback(assetFc.geometry());
+    });
+  }
+
+  if (source === 'Coordinates') {
+    var text = readText(inputs.coords);
+    var box = text.split(/[\s,;]+/).map(readNumber);
+    if (box.length === 4 && box.every(isFinite)) {
+      // Bounding box: minLon, minLat, maxLon, maxLat
+      if (!(box[0] >= -180 && box[2] <= 180 && box[1] >= -90 && box[3] <= 90 && box[0] < box[2] && box[1] < box[3])) {
+        return callback(null, 'Bounding box must be minLon, minLat, maxLon, maxLat in degrees.');
+      }
+      return callback(ee.Geometry.Rectangle(box));
+    }
+    var geometry;
+    try {
+      geometry = fal.parseWkt(text);
+    } catch (e) {
+      return callback(null, 'Coordinates: ' + e.message + '. Enter POLYGON WKT or a bounding box.');
+    }
+    if (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon') {
+      return callback(null, 'Coordinates must describe an area (POLYGON/MULTIPOLYGON WKT or a bounding box).');
+    }
+    return callback(ee.Geometry(geometry));
+  }
+
+  // Point + buffer
+  var lon = readNumber(inputs.lon.getValue());
+  var lat = readNumber(inputs.lat.getValue());
+  var radius = readNumber(inputs.radius.getValue());
+  if (!(lon >= -180 && lon <= 180 && lat >= -90 && lat <= 90)) {
+    return callback(null, 'Longitude must be between -180 and 180, latitude between -90 and 90.');
+  }
+  if (!(radius > 0 && radius <= 500000)) return callback(null, 'Buffer must be between 0 and 500000 m.');
+  callback(ee.Geometry.Point([lon, lat]).buffer(radius));
+}
+
+// Sidebar with ROI choice, settings and the "Run" button
+function buildApp() {
+  var panel = ui.Panel({style: {width: '340px', padding: '8px'}});
+  var header = function(text) {
+    return ui.Label({value: text, style: {fontWeight: 'bold', fontSize: '14px', margin: '12px 8px 4px 8px'}});
+  };
+  var row = function(label, widget) {
+    return ui.Panel({
+      widgets: [ui.Label({value: label, style: {width: '170px'}}), widget],
+      layout: ui.Panel.Layout.Flow('horizontal')
+    });
+  };
+
+  panel.add(ui.Label({value: 'Forest Agreement Layer', style: {fontWeight: 'bold', fontSize: '18px'}}));
+  panel.add(ui.Label('Choose a region and settings, then press "Run".'));
+
+  // ROI source and its inputs
+  panel.add(header('1. Region of interest'));
+  var inputs = {
+    country: ui.Textbox({placeholder: 'Country, e.g. Ghana'}),
+    admin: ui.Textbox({placeholder: 'Admin unit (optional), e.g. Ashanti'}),
+    asset: ui.Textbox({placeholder: 'projects/ee-username/assets/MyROI', style: {stretch: 'horizontal'}}),
+    coords: ui.Textbox({placeholder: 'POLYGON((lon lat, ...)) or minLon, minLat, maxLon, maxLat',
+                        style: {stretch: 'horizontal'}}),
+    lon: ui.Textbox({placeholder: 'Longitude'}),
+    lat: ui.Textbox({placeholder: 'Latitude'}),
+    radius: ui.Textbox({value: '5000', placeholder: 'Buffer (m)'})
+  };
+  var sourceInputs = {
+    'Drawn geometry': [ui.Label('Draw a polygon with the geometry tools (or define "roi" in PART 0A).')],
+    'Country / admin unit (GAUL)': [inputs.country, inputs.admin],
+    'Asset ID': [inputs.asset],
+    'Coordinates': [inputs.coords],
+    'Point + buffer': [row('Longitude', inputs.lon), row('Latitude', inputs.lat), row('Buffer (m)', inputs.radius)]
+  };
+  var sourcePanel = ui.Panel();
+  var sourceSelect = ui.Select({
+    items: ROI_SOURCES,
+    value: ROI_SOURCES[0],
+    onChange: function(source) { sourcePanel.widgets().reset(sourceInputs[source]); }
+  });
+  sourcePanel.widgets().reset(sourceInputs[ROI_SOURCES[0]]);
+  panel.add(sourceSelect).add(sourcePanel);
+
+  // Settings, prefilled from PART 0
+  panel.add(header('2. Settings'));
+  APP_SETTINGS.forEach(function(setting) {
+    setting.box = ui.Textbox({value: String(setting.get()), style: {width: '100px'}});
+    panel.add(row(setting.label, setting.box));
+  });
+  var bandSelect = ui.Select({items: ['agreement', 'weighted'], value: AGREEMENT_BAND});
+  panel.add(row('Majority band', bandSelect));
+  var aggregationSelect = ui.Select({items: ['resample', 'fraction', 'native'], value: AGGREGATION_MODE});
+  panel.add(row('Aggregation (native = 10 m)', aggregationSelect));
+
+  panel.add(header('3. Export'));
+  var targetSelect = ui.Select({items: ['Drive', 'Asset', 'GCS'], value: EXPORT_TARGET});
+  panel.add(row('Export target', targetSelect));
+  var tilingSelect = ui.Select({items: ['Auto', 'Fixed'], value: TILING_MODE});
+  panel.add(row('Tiling (Fixed = rows × columns)', tilingSelect));
+  var bitsCheck = ui.Checkbox({label: 'Add agree_bits band', value: EXPORT_AGREEMENT_BITS});
+  var exportCheck = ui.Checkbox({label: 'Create export tasks', value: QUEUE_EXPORTS});
+  panel.add(bitsCheck).add(exportCheck);
+
+  var status = ui.Label({value: '', style: {whiteSpace: 'pre-wrap'}});
+  var showStatus = function(text, isError) {
+    status.setValue(text);
+    status.style().set('color', isError ? 'red' : 'black');
+  };
+
+  var runButton = ui.Button({
+    label: 'Run',
+    style: {stretch: 'horizontal'},
+    onClick: function() {
+      // CHECK: every setting is a number within its range
+      var errors = [];
+      APP_SETTINGS.forEach(function(setting) {
+        var value = readNumber(setting.box.getValue());
+        if (!(value >= setting.min && value <= setting.max) || (setting.integer && value % 1 !== 0)) {
+          errors.push('⚠️ ' + setting.label + ': enter ' + (setting.integer ? 'a whole number' : 'a number') +
+                      ' between ' + setting.min + ' and ' + setting.max + '.');
+        }
+      });
+      if (errors.length) return showStatus(errors.join('\n'), true);
+
+      APP_SETTINGS.forEach(function(setting) { setting.set(readNumber(setting.box.getValue())); });
+      AGREEMENT_BAND = bandSelect.getValue();
+      AGGREGATION_MODE = aggregationSelect.getValue();
+      EXPORT_TARGET = targetSelect.getValue();
+      TILING_MODE = tilingSelect.getValue();
+      EXPORT_AGREEMENT_BITS = bitsCheck.getValue();
+      QUEUE_EXPORTS = exportCheck.getValue();
+
+      showStatus('⏳ Loading region...', false);
+      appRoi(sourceSelect.getValue(), inputs, function(geometry, message) {
+        if (!geometry) return showStatus('⚠️ ' + message, true);
+        try {
+          runForestAgreement(geometry, appRoiInput(sourceSelect.getValue(), inputs));
+        } catch (e) {
+          return showStatus('⚠️ ' + (e.message || e), true);
+        }
+        showStatus('✅ Layers added' + (QUEUE_EXPORTS ? '; start the exports in the Tasks tab.' : '.'), false);
+      });
+    }
+  });
+  panel.add(ui.Label('')).add(runButton).add(status);
 
+  ui.root.insert(0, panel);
+}
 
-Export.table.toDrive({
-  collection: ranked,
-  description: 'ForestExtentSummary_2020',
-  folder: EXPORT_FOLDER,
-  fileFormat: 'CSV'
-});
+if (USE_APP) {
+  buildApp();
+} else {
+  // Define or draw roi in EE.
+  if (typeof roi === 'undefined') {
+    throw 'Please define a geometry variable named "roi" (either by drawing using the geometry tools or editing the script).';
+  }
+  runForestAgreement(roi, 'roi geometry (drawn or PART 0A)');
+}
 
 
 // ------------------------------- END OF SCRIPT -----------------------------------------------------------------
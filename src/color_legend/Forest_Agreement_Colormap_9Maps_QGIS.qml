@@ -0,0 +1,19 @@
+<!DOCTYPE qgis PUBLIC 'http://mrcc.com/qgis.dtd' 'SYSTEM'>
+<qgis version="3.28" styleCategories="Symbology">
+  <pipe>
+    <rasterrenderer type="paletted" band="1" opacity="1" alphaBand="-1" nodataColor="">
+      <colorPalette>
+        <paletteEntry value="0" color="#d3d3d3" label="0 maps" alpha="255"/>
+        <paletteEntry value="1" color="#ff0000" label="1 map" alpha="255"/>
+        <paletteEntry value="2" color="#f08080" label="2 maps" alpha="255"/>
+        <paletteEntry value="3" color="#ffa500" label="3 maps" alpha="255"/>
+        <paletteEntry value="4" color="#ffd580" label="4 maps" alpha="255"/>
+        <paletteEntry value="5" color="#ffff00" label="5 maps" alpha="255"/>
+        <paletteEntry value="6" color="#cccc00" label="6 maps" alpha="255"/>
+        <paletteEntry value="7" color="#90ee90" label="7 maps" alpha="255"/>
+        <paletteEntry value="8" color="#32cd32" label="8 maps" alpha="255"/>
+        <paletteEntry value="9" color="#006400" label="9 maps" alpha="255"/>
+      </colorPalette>
+    </rasterrenderer>
+  </pipe>
+</qgis>
@@ -0,0 +1,1861 @@
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/*
+ FOREST AGREEMENT LAYER - SHARED MODULE                                                                                                  //
+ Version: 1.0 (12.12.2025)                                                                                                              //
+ Used by: GEE_forest_agreement_ROI_v1.0.js and GEE_forest_agreement_GEODATA_v1.0.js                                                    //
+ Repository: https://github.com/GEOS-EUDR/gee_forest_agreement_layer                                                                  //
+ Summary: Dataset registry, reclassification, dataset loading and the agreement calculation                                         //
+ (sum + sieve filter) shared by both scripts. Both scripts load this file with require(), so a class code                           //
+ or dataset change is made once here.                                                                                              //
+ Usage:                                                                                                                           //
+   var fal = require('users/your_username/gee_forest_agreement_layer:src/module/GEE_forest_agreement_MODULE_v1.0');              //
+   var agreement = fal.buildAgreement(roi, {targetResolution: 30});                                                             //
+ Copyright © 2025 Thünen-Institute, Juliana Freitas Beyer, Margret Köthke, Melvin Lippe                                        //
+ */
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+
+///////////////////////////////////////
+// DEFAULT SETTINGS
+///////////////////////////////////////
+// Used for every option the calling script does not set (same values as PART 0 of both scripts)
+
+var DEFAULTS = {
+  targetResolution: 30,       // meters (final/full-res)
+  sieveThresholdPixels: 6,    // pixels for filtering out (6 pixels ~0.5 ha at 30m), minimum mapping unit
+  sieveMode: 'pixels',        // small-patch filter: 'pixels', 'class' or 'forest' (see sieveFilter)
+  sieveMmuHa: 0.5,            // 'class'/'forest': minimum mapping unit in hectares
+  sieveForestMin: 6,          // 'forest': agreement value from which a pixel belongs to a forest region
+  sieveIterations: 5,         // 'class'/'forest': maximum passes (later passes only change what is still too small)
+  forestHeightMin: 5,         // meters
+  agreementRadius: 1,         // pixels for focalMode filter
+  referenceYear: 2020,        // year of the agreement layer; each dataset uses its closest edition
+  weights: {},                // per-dataset confidence weights by key, override the registry "weight"
+  weightedScale: 100,         // weighted consensus range: 1 (0-1) or 100 (0-100)
+  datasets: null,             // full registry to use instead of DATASETS (null = DATASETS)
+  addDatasets: [],            // registry entries appended to the registry
+  dropDatasets: [],           // registry keys removed from the registry
+  normalizeByCoverage: false, // scale the agreement to the datasets with valid data at each pixel
+  aggregation: 'resample',    // agreement grid: 'resample', 'fraction' or 'native' (see toAgreementGrid)
+  gridCrs: 'EPSG:6933',       // CRS of the 'fraction' and 'native' grids (equal-area or a UTM zone)
+  fractionThreshold: 0.5,     // 'fraction': forest fraction (0-1) of a grid cell counted as a forest vote
+  fractionThresholds: {},     // 'fraction': per-dataset thresholds by key, override the registry "fractionThreshold"
+  multiZone: 'split',         // chooseCrs: bounds spanning several UTM zones -> 'split' or 'equal-area'
+  equalAreaCrs: 'EPSG:6933'   // chooseCrs: equal-area CRS (WGS 84 / EASE-Grid 2.0 Global)
+};
+
+// Fill missing options with DEFAULTS
+function withDefaults(options) {
+  options = options || {};
+  var merged = {};
+  for (var key in DEFAULTS) {
+    merged[key] = (options[key] !== undefined && options[key] !== null) ? options[key] : DEFAULTS[key];
+  }
+  return merged;
+}
+
+
+///////////////////////////////////////
+// PART 2: DATASET REGISTRY
+///////////////////////////////////////
+/*
+One entry per forest map. Loading, reclassification, the agreement sum, the extent summary and
+the palette/legend are all driven from this list, so adding, dropping or swapping a map takes one entry.
+Entry fields:
+- key           : unique short ID (no spaces)
+- name          : display name used in tables and legends
+- assetId       : Earth Engine asset ID
+- type          : 'ImageCollection' or 'Image'
+- years         : editions available (e.g. [2017, 2018, 2019, 2020]); the one closest to the
+                  reference year is used. null = single undated edition
+- band          : band to select (null = use the asset's band as is)
+- dates         : [start, end] date filter for collections (null = no date filter)
+band and dates can also be function(year) returning the value for the selected edition.
+*/
+
+// Date filter covering one calendar year
+function calendarYear(year) {
+  return [year + '-01-01', (year + 1) + '-01-01'];
+}
+
+// Client-side list of years first..last
+function yearRange(first, last) {
+  var years = [];
+  for (var y = first; y <= last; y++) years.push(y);
+  return years;
+}
+
+/*
+- reducer       : how a collection becomes one image: 'mosaic', 'mode' or 'mean'
+- forestClasses : class codes counted as forest, or function(options) returning an ee.List
+- prepare       : optional function(image) applied after loading (e.g. extra masks)
+- weight        : optional confidence weight for the weighted consensus (default 1)
+- fractionThreshold : optional forest fraction (0-1) counted as a forest vote in the 'fraction' aggregation
+- forestTypes   : optional class codes per forest type ({primary, naturally_regenerating, planted}),
+                  read by forestTypeImage (also when the dataset is dropped from the agreement)
+*/
+
+var DATASETS = [
+  // JRC (10m) 2020 [Bourgoin et al., 2024]
+  {key: 'JRC', name: 'JRC', assetId: 'JRC/GFC2020/V2', years: [2020],
+   type: 'ImageCollection', band: null, dates: null, reducer: 'mosaic',
+   forestClasses: [1]},
+
+  // ESRI-LULC (10m) 2017-2023 [Karra et al. 2021]
+  {key: 'ESRI_LULC', name: 'ESRI-10m', assetId: 'projects/sat-io/open-datasets/landcover/ESRI_Global-LULC_10m_TS',
+   years: yearRange(2017, 2023),
+   type: 'ImageCollection', band: null, dates: calendarYear, reducer: 'mosaic',
+   forestClasses: [2]},
+
+  // Dynamic World (10m) 2016-2025, annual mode of the label band [Brown et al. 2022]
+  {key: 'DynamicWorld', name: 'DynamicWorld', assetId: 'GOOGLE/DYNAMICWORLD/V1',
+   years: yearRange(2016, 2025),
+   type: 'ImageCollection', band: 'label', dates: calendarYear, reducer: 'mode',
+   forestClasses: [1]},
+
+  // GLC-FCS30D Global Land Cover (30m) 2000-2022, one band per year (b1 = 2000 ... b21 = 2020) [Liu et al. 2020]
+  {key: 'GLCFCS30D', name: 'GLC-FCS30D', assetId: 'projects/sat-io/open-datasets/GLC-FCS30D/annual',
+   years: yearRange(2000, 2022),
+   type: 'ImageCollection', band: function(year) { return 'b' + (year - 1999); }, dates: null, reducer: 'mean',
+   forestClasses: [51,52,61,62,71,72,81,82,91,92]},
+
+  // FROM-GLC10 (10m) 2017 [Gong et al. 2019]
+  {key: 'GLC10', name: 'FROM-GLC10', assetId: 'projects/sat-io/open-datasets/FROM-GLC10', years: [2017],
+   type: 'ImageCollection', band: null, dates: null, reducer: 'mosaic',
+   forestClasses: [20]},
+
+  // GLCLUC2020 - Forest Extent 2020 [Potapov et al., 2022]
+  {key: 'GLCLU', name: 'GLCLU2020', assetId: 'projects/glad/GLCLU2020/Forest_type', years: [2020],
+   type: 'Image', band: null, dates: null, reducer: null,
+   forestClasses: [1,3,4],
+   // Forest_type legend (GLAD GLCLU2020, Potapov et al. 2022): 1 = natural forest, 2 = tree crops (not forest),
+   // 3 = planted forest, 4 = plantation. Natural forest is not split into primary and regenerating (see FOREST TYPES).
+   forestTypes: {naturally_regenerating: [1], planted: [3,4]},
+   prepare: function(image) {
+     var landmask = ee.Image('projects/glad/OceanMask').lte(1);
+     return image.updateMask(landmask);
+   }},
+
+  // Global 4-class PALSAR-2 (25m) 2017-2020 [Shimada et al. 2014]
+  {key: 'PALSAR', name: 'PALSAR-2 FNF', assetId: 'JAXA/ALOS/PALSAR/YEARLY/FNF4',
+   years: yearRange(2017, 2020),
+   type: 'ImageCollection', band: null, dates: calendarYear, reducer: 'mosaic',
+   forestClasses: [1,2]},
+
+  // Global Canopy height (10m) 2020 [Lang et al., 2023]
+  {key: 'ETH', name: 'ETH', assetId: 'users/nlang/ETH_GlobalCanopyHeight_2020_10m_v1', years: [2020],
+   type: 'Image', band: null, dates: null, reducer: null,
+   forestClasses: function(options) { return ee.List.sequence(options.forestHeightMin, 255); }},
+
+  // Global Forest Types (10m) 2020, v0 [Bourgoin et al., 2024]
+  // 1 - Naturally regenerating forest
+  // 10 - Primary forest
+  // 20 - Planted/Plantation forest
+  {key: 'GFT', name: 'GFT', assetId: 'JRC/GFC2020_subtypes/V0', years: [2020],
+   type: 'ImageCollection', band: null, dates: null, reducer: 'mosaic',
+   forestClasses: [1,10],
+   forestTypes: {primary: [10], naturally_regenerating: [1], planted: [20]}}
+];
+
+// Collection -> single image, per registry "reducer"
+var REDUCERS = {
+  'mosaic': function(collection) { return collection.mosaic(); },
+  'mode': function(collection) { return collection.reduce(ee.Reducer.mode()); },
+  'mean': function(collection) { return collection.reduce(ee.Reducer.mean()); }
+};
+
+// Check a registry entry before anything is loaded
+function validateEntry(entry) {
+  var label = 'Dataset "' + (entry.key || entry.name || entry.assetId) + '"';
+  if (!entry.key || !entry.name || !entry.assetId) {
+    throw new Error('ERROR: ' + label + ' needs "key", "name" and "assetId".');
+  }
+  if (entry.type !== 'Image' && entry.type !== 'ImageCollection') {
+    throw new Error('ERROR: ' + label + ' has type "' + entry.type + '". Choose "Image" or "ImageCollection".');
+  }
+  if (entry.type === 'ImageCollection' && !REDUCERS[entry.reducer]) {
+    throw new Error('ERROR: ' + label + ' has reducer "' + entry.reducer + '". Choose "mosaic", "mode" or "mean".');
+  }
+  if (!entry.forestClasses) {
+    throw new Error('ERROR: ' + label + ' needs "forestClasses".');
+  }
+  if (entry.weight !== undefined && !(entry.weight >= 0)) {
+    throw new Error('ERROR: ' + label + ' has weight "' + entry.weight + '". Weights must be numbers >= 0.');
+  }
+  if (!entry.years && (typeof entry.band === 'function' || typeof entry.dates === 'function')) {
+    throw new Error('ERROR: ' + label + ' selects band/dates per year but lists no "years".');
+  }
+  for (var type in (entry.forestTypes || {})) {
+    if (!forestTypeByKey(type)) {
+      throw new Error('ERROR: ' + label + ' has forest type "' + type + '". Choose ' +
+                      FOREST_TYPES.map(function(t) { return '"' + t.key + '"'; }).join(', ') + '.');
+    }
+  }
+}
+
+// Registry used for one run: options.datasets (or DATASETS) minus dropDatasets plus addDatasets
+function resolveRegistry(options) {
+  var opts = withDefaults(options);
+  var base = opts.datasets || DATASETS;
+  var registry = base.filter(function(entry) {
+    return opts.dropDatasets.indexOf(entry.key) === -1;
+  }).concat(opts.addDatasets);
+
+  var seen = {};
+  registry.forEach(function(entry) {
+    validateEntry(entry);
+    if (seen[entry.key]) {
+      throw new Error('ERROR: Dataset key "' + entry.key + '" is used more than once in the registry.');
+    }
+    seen[entry.key] = true;
+  });
+  if (registry.length === 0) {
+    throw new Error('ERROR: The dataset registry is empty.');
+  }
+  return registry;
+}
+
+// Edition closest to the reference year (ties go to the earlier year)
+function closestYear(years, referenceYear) {
+  var best = years[0];
+  years.forEach(function(year) {
+    var d = Math.abs(year - referenceYear);
+    var dBest = Math.abs(best - referenceYear);
+    if (d < dBest || (d === dBest && year < best)) best = year;
+  });
+  return best;
+}
+
+// Copy of a registry entry with the edition for referenceYear selected:
+// "year" is set to the edition used and band/dates functions are resolved for it
+function selectEdition(entry, referenceYear) {
+  var edition = {};
+  for (var field in entry) edition[field] = entry[field];
+  edition.year = entry.years ? closestYear(entry.years, referenceYear) : null;
+  if (typeof entry.band === 'function') edition.band = entry.band(edition.year);
+  if (typeof entry.dates === 'function') edition.dates = entry.dates(edition.year);
+  return edition;
+}
+
+// Confidence weight per registry entry: options.weights[key], else entry.weight, else 1
+function getWeights(registry, options) {
+  var opts = withDefaults(options);
+  var weights = registry.map(function(entry) {
+    var w = opts.weights[entry.key];
+    if (w === undefined) w = (entry.weight !== undefined) ? entry.weight : 1;
+    if (!(w >= 0)) {
+      throw new Error('ERROR: Weight for dataset "' + entry.key + '" must be a number >= 0, got "' + w + '".');
+    }
+    return w;
+  });
+  var total = weights.reduce(function(a, b) { return a + b; }, 0);
+  if (total <= 0) {
+    throw new Error('ERROR: At least one dataset needs a weight > 0.');
+  }
+  return weights;
+}
+
+// Forest-fraction threshold per registry entry ('fraction' aggregation):
+// options.fractionThresholds[key], else entry.fractionThreshold, else options.fractionThreshold
+function getFractionThresholds(registry, options) {
+  var opts = withDefaults(options);
+  return registry.map(function(entry) {
+    var t = opts.fractionThresholds[entry.key];
+    if (t === undefined) t = (entry.fractionThreshold !== undefined) ? entry.fractionThreshold : opts.fractionThreshold;
+    if (!(t > 0 && t <= 1)) {
+      throw new Error('ERROR: Forest-fraction threshold for dataset "' + entry.key + '" must be > 0 and <= 1, got "' + t + '".');
+    }
+    return t;
+  });
+}
+
+// Forest class codes per dataset key (ee.List)
+function getForestClasses(registry, options) {
+  var opts = withDefaults(options);
+  var classes = {};
+  registry.forEach(function(entry) {
+    var fc = entry.forestClasses;
+    classes[entry.key] = ee.List(typeof fc === 'function' ? fc(opts) : fc);
+  });
+  return classes;
+}
+
+///////////////////////////////////////
+// PART 3: FUNCTIONS
+///////////////////////////////////////
+
+// Binary forest/non-forest reclassification
+function reclassifyImage(image, classes) {
+  return image.remap(classes, ee.List.repeat(1, classes.length()), 0)
+              .unmask(0)
+              .rename('Landcover');
+}
+
+// Reproject and resample (done prior to bitwise operations)
+function reprojectAndResample(image, scale) {
+  return image
+    .reproject({crs: 'EPSG:4326', scale: scale})
+    .resample()
+    ;
+}
+
+var AGGREGATION_MODES = ['resample', 'fraction', 'native'];
+var NATIVE_RESOLUTION = 10;   // meters, grid of the 'native' aggregation (finest input resolution)
+
+// Native projection of a registry entry (first image of its source within "roi"). Reducing a collection
+// to one image drops it, and reduceResolution needs it. Collections tiled in per-tile UTM zones
+// (DynamicWorld, ESRI-LULC) only give the right zone when filtered to the ROI first.
+function nativeProjection(entry, roi) {
+  var source = datasetSource(entry, roi);
+  var first = (entry.type === 'Image') ? source : ee.Image(source.first());
+  return first.select(entry.band ? [entry.band] : [0]).projection();
+}
+
+// Image (e.g. a 0/1 forest mask) on the agreement grid of options.aggregation:
+//   'resample' - EPSG:4326 at targetResolution, bilinear (reprojectAndResample, the v1.0 behaviour)
+//   'fraction' - mean of the native pixels in each gridCrs cell at targetResolution (forest fraction 0-1)
+//   'native'   - gridCrs at NATIVE_RESOLUTION, nearest neighbour (no averaging; for small plots)
+function toAgreementGrid(image, projection, options) {
+  var opts = withDefaults(options);
+  if (opts.aggregation === 'resample') return reprojectAndResample(image, opts.targetResolution);
+  image = image.setDefaultProjection(projection);
+  if (opts.aggregation === 'native') return image.reproject({crs: opts.gridCrs, scale: NATIVE_RESOLUTION});
+  // Native pixels per grid cell (10 m inputs), within the reduceResolution limit
+  var maxPixels = Math.min(65536, Math.ceil(Math.pow(opts.targetResolution / NATIVE_RESOLUTION + 1, 2)));
+  return image.toFloat()
+    .reduceResolution({reducer: ee.Reducer.mean(), maxPixels: maxPixels})
+    .reproject({crs: opts.gridCrs, scale: opts.targetResolution});
+}
+
+///////////////////////////////////////
+// PART 4: LOAD DATASETS
+///////////////////////////////////////
+// Each dataset clipped to ROI
+
+// Image or filtered collection of one registry entry (before band selection and reduction)
+function datasetSource(entry, roi) {
+  if (entry.type === 'Image') return ee.Image(entry.assetId);
+  var c = ee.ImageCollection(entry.assetId).filterBounds(roi);
+  if (entry.dates) c = c.filterDate(entry.dates[0], entry.dates[1]);
+  return c;
+}
+
+// Load one registry entry as a single image
+function loadDataset(entry, roi) {
+  var image;
+  if (entry.type === 'Image') {
+    image = datasetSource(entry, roi);
+    if (entry.band) image = image.select(entry.band);
+  } else {
+    var c = datasetSource(entry, roi);
+    if (entry.band) c = c.select(entry.band);
+    image = REDUCERS[entry.reducer](c);
+  }
+  if (entry.prepare) image = entry.prepare(image);
+  return image.clip(roi);
+}
+
+// Load every registry entry; returns {key: image}
+function loadDatasets(roi, registry) {
+  var images = {};
+  (registry || DATASETS).forEach(function(entry) {
+    images[entry.key] = loadDataset(entry, roi);
+  });
+  return images;
+}
+
+
+///////////////////////////////////////
+// PALETTE + LEGEND LABELS
+///////////////////////////////////////
+// Base palette for 0–9 agreement values (see src/color_legend). For any other number of
+// datasets the colors are interpolated along the same ramp, so 0 stays gray and "all maps" dark green.
+
+var BASE_PALETTE = ['#D3D3D3', '#FF0000', '#F08080', '#FFA500', '#FFD580',
+                    '#FFFF00', '#CCCC00', '#90EE90', '#32CD32', '#006400'];
+
+function hexToRgb(hex) {
+  var n = parseInt(hex.replace('#', ''), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function rgbToHex(rgb) {
+  return '#' + rgb.map(function(v) {
+    var h = Math.round(v).toString(16).toUpperCase();
+    return h.length === 1 ? '0' + h : h;
+  }).join('');
+}
+
+// Palette with one color per agreement value 0..count
+function agreementPalette(count) {
+  if (count === BASE_PALETTE.length - 1) return BASE_PALETTE.slice();
+  // 0 is "no map", interpolated along the ramp from index 1 onwards
+  var palette = [BASE_PALETTE[0]];
+  var stops = BASE_PALETTE.length - 2;   // ramp intervals between "1 map" and "all maps"
+  for (var i = 1; i <= count; i++) {
+    var t = count === 1 ? stops : (i - 1) * stops / (count - 1);
+    var lo = Math.floor(t);
+    var hi = Math.min(lo + 1, stops);
+    var f = t - lo;
+    var a = hexToRgb(BASE_PALETTE[lo + 1]);
+    var b = hexToRgb(BASE_PALETTE[hi + 1]);
+    palette.push(rgbToHex([0, 1, 2].map(function(k) { return a[k] + (b[k] - a[k]) * f; })));
+  }
+  return palette;
+}
+
+// Legend labels for agreement values 0..count
+function agreementLabels(count) {
+  var labels = [];
+  for (var i = 0; i <= count; i++) labels.push(i + (i === 1 ? ' map' : ' maps'));
+  return labels;
+}
+
+
+//////////////////////////////////////////////////////
+// PART 5 + 6: RECLASSIFICATION AND FOREST AGREEMENT
+/////////////////////////////////////////////////////
+
+var SIEVE_MODES = ['pixels', 'class', 'forest'];
+var MAX_SIEVE_PIXELS = 1024;   // largest region connectedPixelCount can measure
+
+// Minimum mapping unit (ha) in pixels of a grid with "scale" meters
+function mmuPixels(mmuHa, scale) {
+  return Math.max(1, Math.ceil(mmuHa * 10000 / (scale * scale)));
+}
+
+// Small-patch (sieve) filter of an agreement image on a grid with "scale" meters:
+//   'pixels' - patches of equal value below sieveThresholdPixels get the 3×3 (agreementRadius) mode, one pass (v1.0)
+//   'class'  - regions of equal agreement value below sieveMmuHa
+//   'forest' - forest / non-forest regions (agreement >= sieveForestMin) below sieveMmuHa
+// In 'class'/'forest' a small region takes the most common value of its neighbours outside small regions
+// (none nearby: unchanged), repeated until nothing changes or sieveIterations passes are done.
+// Returns {filtered, sieved: pixels in a small patch in any pass, minPixels}
+function sieveFilter(image, scale, options) {
+  var opts = withDefaults(options);
+  if (SIEVE_MODES.indexOf(opts.sieveMode) === -1) {
+    throw new Error('ERROR: Sieve mode must be one of ' + SIEVE_MODES.join(', ') + ', got "' + opts.sieveMode + '".');
+  }
+  if (opts.sieveMode === 'pixels') {
+    var smallPatches = image.connectedPixelCount(8).lt(opts.sieveThresholdPixels);
+    var majorityClass = image.focalMode(opts.agreementRadius, 'square', 'pixels');
+    return {filtered: image.where(smallPatches, majorityClass), sieved: smallPatches, minPixels: opts.sieveThresholdPixels};
+  }
+
+  var minPixels = mmuPixels(opts.sieveMmuHa, scale);
+  if (minPixels > MAX_SIEVE_PIXELS) {
+    throw new Error('ERROR: The minimum mapping unit of ' + opts.sieveMmuHa + ' ha is ' + minPixels + ' pixels at ' +
+                    scale + ' m; at most ' + MAX_SIEVE_PIXELS + ' pixels are possible. Lower it or coarsen the resolution.');
+  }
+  var filtered = image;
+  var sieved = ee.Image(0);
+  for (var pass = 0; pass < opts.sieveIterations; pass++) {
+    var regions = (opts.sieveMode === 'forest') ? filtered.gte(opts.sieveForestMin) : filtered;
+    var small = regions.connectedPixelCount(minPixels, true).lt(minPixels);
+    var neighbours = filtered.updateMask(small.not()).focalMode(opts.agreementRadius, 'square', 'pixels');
+    filtered = filtered.where(small, neighbours.unmask(filtered));
+    sieved = sieved.or(small);
+  }
+  return {filtered: filtered, sieved: sieved, minPixels: minPixels};
+}
+
+// Builds the forest agreement layer over "roi".
+// options: {targetResolution, sieveThresholdPixels, forestHeightMin, agreementRadius,
+//           referenceYear, weights, weightedScale, datasets, addDatasets, dropDatasets, normalizeByCoverage,
+//           aggregation, gridCrs, fractionThreshold, fractionThresholds,
+//           sieveMode, sieveMmuHa, sieveForestMin, sieveIterations}
+// Returns: {raw, filtered, weighted, weightedFiltered, bits, votes, weights, masks, names, keys,
+//           count, registry, editions, datasets, forestClasses, coverage, valid, normalized, aggregation, scale,
+//           changed, sieveMinPixels, options}
+//   raw      - 'agreement' band, number of maps calling a pixel forest (0-count); with normalizeByCoverage
+//              the agreement among the datasets with data, scaled to count (masked where no dataset has data)
+//   filtered - raw layer with small patches reassigned to the neighbourhood majority (sieveFilter)
+//   weighted - 'weighted' band, weighted share of maps calling a pixel forest (0-weightedScale)
+//   weightedFiltered - weighted band with the same small patches replaced by the neighbourhood median
+//   bits     - 'agree_bits' band, bit i set where dataset i (registry order) calls the pixel forest
+//   votes    - one 0/1 band per dataset, named by registry key (for the Inspector)
+//   masks    - list of the per-dataset binary forest masks (1 = forest), in registry order
+//   names    - display name of each mask, same order as masks
+//   count    - number of datasets (maximum agreement value)
+//   editions - [{Layer, Requested, Year}] edition actually used per dataset, same order as masks
+//   coverage - 'coverage' band, number of datasets with valid data (0-count)
+//   valid    - list of the per-dataset valid-data masks (1 = data, 0 = gap), same order as masks
+//   scale    - resolution of the agreement grid in meters (NATIVE_RESOLUTION in the 'native' aggregation)
+//   changed  - 'sieve_changed' band, 1 where the sieve filter changed the agreement value
+//   sieveMinPixels - minimum patch size of the sieve filter in pixels
+//   options  - the options of the run with the DEFAULTS filled in (e.g. for forestTypeImage)
+function buildAgreement(roi, options) {
+  var opts = withDefaults(options);
+  if (AGGREGATION_MODES.indexOf(opts.aggregation) === -1) {
+    throw new Error('ERROR: Aggregation must be one of ' + AGGREGATION_MODES.join(', ') + ', got "' + opts.aggregation + '".');
+  }
+  var registry = resolveRegistry(opts).map(function(entry) {
+    return selectEdition(entry, opts.referenceYear);
+  });
+  var forestClasses = getForestClasses(registry, opts);
+  var thresholds = getFractionThresholds(registry, opts);
+  var projections = registry.map(function(entry) { return nativeProjection(entry, roi); });
+  var datasets = loadDatasets(roi, registry);
+
+  // PART 5: RECLASSIFICATION + REPROJECTION
+  // 'fraction': the forest fraction of each grid cell becomes a 0/1 vote with the dataset's threshold
+  var masks = registry.map(function(entry, i) {
+    var forest = toAgreementGrid(reclassifyImage(datasets[entry.key], forestClasses[entry.key]), projections[i], opts);
+    return (opts.aggregation === 'fraction') ? forest.gte(thresholds[i]).rename('Landcover') : forest;
+  });
+
+  // Valid data per dataset. reclassifyImage turns gaps (missing tiles, the GLCLU ocean mask, ...)
+  // into non-forest, so the coverage band shows where a low agreement only means missing data.
+  var valid = registry.map(function(entry, i) {
+    var hasData = datasets[entry.key].mask().reduce(ee.Reducer.min()).gt(0).unmask(0);
+    return toAgreementGrid(hasData, projections[i], opts).round().rename('valid');
+  });
+  var coverage = ee.ImageCollection(valid)
+    .reduce(ee.Reducer.sum())
+    .toInt16()
+    .rename('coverage');
+  var covered = coverage.gt(0);
+
+  // PART 6: FOREST AGREEMENT LAYER
+  // Combine all reclassified forest masks
+  var forestAgreement = ee.ImageCollection(masks)
+    .reduce(ee.Reducer.sum())
+    .rename('agreement')
+    ;
+  if (opts.normalizeByCoverage) {
+    // Share of the datasets with data, on the 0-count scale (e.g. 4 of 6 maps with data -> 6 of 9)
+    forestAgreement = forestAgreement.multiply(registry.length)
+      .divide(coverage.updateMask(covered))
+      .round()
+      .rename('agreement');
+  }
+
+  // Filter out small patches and reassign
+  var scale = (opts.aggregation === 'native') ? NATIVE_RESOLUTION : opts.targetResolution;
+  var sieve = sieveFilter(forestAgreement, scale, opts);
+  var smallPatches = sieve.sieved;
+  var forestAgreementFiltered = sieve.filtered;
+  var changed = forestAgreementFiltered.neq(forestAgreement).rename('sieve_changed');
+
+  // Weighted consensus: sum(weight * mask) / sum(weights), scaled to 0-1 or 0-100
+  var weights = getWeights(registry, opts);
+  // (normalizeByCoverage: divided by the weights of the datasets with data at the pixel)
+  var totalWeight = weights.reduce(function(a, b) { return a + b; }, 0);
+  if (opts.normalizeByCoverage) {
+    totalWeight = ee.ImageCollection(valid.map(function(v, i) {
+        return v.multiply(weights[i]).toFloat();
+      }))
+      .reduce(ee.Reducer.sum());
+    totalWeight = totalWeight.updateMask(totalWeight.gt(0));
+  }
+  var weightedAgreement = ee.ImageCollection(masks.map(function(mask, i) {
+      return mask.multiply(weights[i]).toFloat();
+    }))
+    .reduce(ee.Reducer.sum())
+    .divide(totalWeight)
+    .multiply(opts.weightedScale)
+    .rename('weighted');
+  var weightedMedian = weightedAgreement.focalMedian(opts.agreementRadius, 'square', 'pixels');
+  var weightedFiltered = weightedAgreement.where(smallPatches, weightedMedian);
+
+  // Which maps agree: one bit per dataset (bit 0 = first registry entry)
+  var bits = ee.ImageCollection(masks.map(function(mask, i) {
+      return mask.round().toInt32().leftShift(i);
+    }))
+    .reduce(ee.Reducer.sum())
+    .toInt32()
+    .rename('agree_bits');
+  var keys = registry.map(function(entry) { return entry.key; });
+  var votes = ee.Image.cat(masks).rename(keys);
+
+  return {
+    raw: forestAgreement,
+    filtered: forestAgreementFiltered,
+    weighted: weightedAgreement,
+    weightedFiltered: weightedFiltered,
+    bits: bits,
+    votes: votes,
+    weights: weights,
+    masks: masks,
+    names: registry.map(function(entry) { return entry.name; }),
+    keys: keys,
+    count: registry.length,
+    registry: registry,
+    editions: registry.map(function(entry) {
+      return {Layer: entry.name, Requested: opts.referenceYear, Year: entry.year};
+    }),
+    datasets: datasets,
+    forestClasses: forestClasses,
+    coverage: coverage,
+    valid: valid,
+    normalized: opts.normalizeByCoverage,
+    aggregation: opts.aggregation,
+    scale: scale,
+    changed: changed,
+    sieveMinPixels: sieve.minPixels,
+    options: opts
+  };
+}
+
+// Majority forest (1/0, band 'majority'): filtered agreement >= threshold maps (band 'agreement'),
+// or weighted score >= threshold (band 'weighted')
+function majorityMask(agreement, band, threshold) {
+  var mask = (band === 'weighted')
+    ? agreement.weightedFiltered.gte(threshold)
+    : agreement.filtered.gte(threshold).and(agreement.filtered.lte(agreement.count));
+  return mask.rename('majority');
+}
+
+// Agreement over "roi" with the options of an earlier run, some of them changed (e.g. {forestHeightMin: 10})
+function rebuildAgreement(agreement, roi, changes) {
+  var opts = {};
+  for (var key in agreement.options) opts[key] = agreement.options[key];
+  for (var change in changes) opts[change] = changes[change];
+  return buildAgreement(roi, opts);
+}
+
+
+///////////////////////////////////////
+// AGREEMENT BITS (WHICH MAPS AGREE)
+///////////////////////////////////////
+// Bit i of an 'agree_bits' value is set when dataset i (registry order, see "names") calls the pixel forest.
+// Example with the default registry: 5 = bits 0 and 2 = JRC + DynamicWorld.
+
+// Client-side: pixel value -> list of dataset names, e.g. for values read with the Inspector
+function decodeAgreementBits(value, names) {
+  return names.filter(function(name, i) {
+    return Math.floor(value / Math.pow(2, i)) % 2 === 1;
+  });
+}
+
+// Server-side: ee.Number -> ee.List of dataset names, e.g. for table properties
+function agreementBitsToNames(bits, names) {
+  bits = ee.Number(bits).toInt();
+  var nameList = ee.List(names);
+  return ee.List.sequence(0, names.length - 1).map(function(i) {
+    var isSet = bits.rightShift(ee.Number(i).toInt()).bitwiseAnd(1).eq(1);
+    return ee.Algorithms.If(isSet, nameList.get(i), '');
+  }).removeAll(['']);
+}
+
+// Smallest unsigned integer type that holds bits for "count" datasets (up to 31)
+function castBits(image, count) {
+  if (count > 31) {
+    throw new Error('ERROR: Agreement bits hold up to 31 datasets, the registry has ' + count + '.');
+  }
+  if (count <= 8) return image.toUint8();
+  if (count <= 16) return image.toUint16();
+  return image.toUint32();
+}
+
+
+///////////////////////////////////////
+// FOREST TYPES (PRIMARY / NATURALLY REGENERATING / PLANTED)
+///////////////////////////////////////
+// The agreement only counts forest votes, so GFT drops its planted class (20). The 'forest_type' band
+// combines the registry entries with "forestTypes" (GFT subtypes, GLCLU forest types) within a forest mask.
+// Codes follow GFT 2020; FOREST_TYPES is in precedence order, which is the combine rule where both sources
+// have data: planted from either source wins (a planted stand is never reported as primary), then GFT primary,
+// then naturally regenerating. GLCLU only separates natural from planted forest, so its natural forest refines
+// nothing where GFT has a type and counts as naturally regenerating outside the GFT data.
+
+var FOREST_TYPES = [
+  {key: 'planted', code: 20, column: 'planted_ha', name: 'Planted/plantation forest'},
+  {key: 'primary', code: 10, column: 'primary_ha', name: 'Primary forest'},
+  {key: 'naturally_regenerating', code: 1, column: 'natreg_ha', name: 'Naturally regenerating forest'}
+];
+// Forest in the mask without a type from any source (e.g. outside the GFT and GLCLU data)
+var FOREST_TYPE_UNKNOWN = {key: 'untyped', code: 99, column: 'untyped_ha', name: 'Forest of unknown type'};
+
+function forestTypeByKey(key) {
+  return FOREST_TYPES.filter(function(t) { return t.key === key; })[0];
+}
+
+// 'forest_type' codes as text, e.g. for band descriptions
+function forestTypeLegend() {
+  return ['0 = not forest'].concat(FOREST_TYPES.concat([FOREST_TYPE_UNKNOWN]).map(function(t) {
+    return t.code + ' = ' + t.name.toLowerCase();
+  })).join(', ');
+}
+
+// 'forest_type' band (UInt8) on the agreement grid: type code where forestMask = 1, 0 elsewhere in "roi".
+// Sources are the registry entries of the agreement with "forestTypes" plus those of DATASETS that were
+// dropped from it (loaded here, edition of the reference year). A source maps a grid cell to a type when
+// most of the cell has that type (>= 0.5 after toAgreementGrid).
+function forestTypeImage(agreement, roi, forestMask) {
+  var opts = agreement.options;
+  var sources = agreement.registry.concat(DATASETS.filter(function(entry) {
+      return agreement.keys.indexOf(entry.key) === -1;
+    }).map(function(entry) {
+      return selectEdition(entry, opts.referenceYear);
+    }))
+    .filter(function(entry) { return entry.forestTypes; });
+  if (sources.length === 0) {
+    throw new Error('ERROR: No dataset defines "forestTypes"; the forest_type band needs at least one (e.g. GFT).');
+  }
+
+  var type = ee.Image(FOREST_TYPE_UNKNOWN.code);
+  FOREST_TYPES.slice().reverse().forEach(function(t) {
+    var votes = sources.filter(function(entry) { return entry.forestTypes[t.key]; }).map(function(entry) {
+      var image = agreement.datasets[entry.key] || loadDataset(entry, roi);
+      var mask = reclassifyImage(image, ee.List(entry.forestTypes[t.key]));
+      return toAgreementGrid(mask, nativeProjection(entry, roi), opts).gte(0.5);
+    });
+    if (votes.length) type = type.where(ee.ImageCollection(votes).max(), t.code);
+  });
+  return ee.Image(0).where(forestMask.eq(1), type)
+    .toUint8()
+    .rename('forest_type')
+    .clip(roi);
+}
+
+// Area (ha) per forest type, one band per FOREST_TYPES column plus untyped_ha (sum with reduceRegion(s))
+function forestTypeAreaImage(forestType) {
+  var pixelHa = ee.Image.pixelArea().divide(10000);
+  return ee.Image.cat(FOREST_TYPES.concat([FOREST_TYPE_UNKNOWN]).map(function(t) {
+    return pixelHa.updateMask(forestType.eq(t.code)).unmask(0).rename(t.column);
+  }));
+}
+
+
+///////////////////////////////////////
+// CANOPY HEIGHT (ETH)
+///////////////////////////////////////
+// In the agreement ETH is only a forest vote above forestHeightMin. These helpers keep the heights for
+// statistics within a forest mask; for other forestHeightMin values see sensitivityAnalysis.
+
+var CANOPY_HEIGHT_LEVELS = [5, 10, 15];   // meters; ch_gt<m> = % of the forest with a canopy above m
+
+// ETH canopy height (m) over "roi" as band 'ch', loaded even when ETH is not in the registry
+function canopyHeight(agreement, roi) {
+  var eth = agreement.datasets.ETH || loadDataset(DATASETS.filter(function(entry) {
+    return entry.key === 'ETH';
+  })[0], roi);
+  return eth.select([0], ['ch']);
+}
+
+// Names of the canopy height statistics: ch_mean, ch_median, ch_p90 (m) and ch_gt<m> (%)
+function canopyHeightColumns() {
+  return ['ch_mean', 'ch_median', 'ch_p90'].concat(CANOPY_HEIGHT_LEVELS.map(function(m) { return 'ch_gt' + m; }));
+}
+
+// Canopy height ('ch') within forestMask, one band per statistic (canopyHeightColumns); ch_gt<m> is 100
+// where the canopy is above m and 0 below, so its mean is the share (%) of the forest above m
+function canopyHeightImage(height, forestMask) {
+  var bands = [height.rename('ch_mean'), height.rename('ch_median'), height.rename('ch_p90')]
+    .concat(CANOPY_HEIGHT_LEVELS.map(function(m) { return height.gt(m).multiply(100).rename('ch_gt' + m); }));
+  return ee.Image.cat(bands).updateMask(forestMask.eq(1));
+}
+
+// Reducer for canopyHeightImage: one input per band, outputs named like the bands in reduceRegion
+// and reduceRegions alike (no band-name prefixes)
+function canopyHeightReducer() {
+  var reducer = ee.Reducer.mean().setOutputs(['ch_mean'])
+    .combine(ee.Reducer.median().setOutputs(['ch_median']))
+    .combine(ee.Reducer.percentile([90], ['ch_p90']));
+  CANOPY_HEIGHT_LEVELS.forEach(function(m) {
+    reducer = reducer.combine(ee.Reducer.mean().setOutputs(['ch_gt' + m]));
+  });
+  return reducer;
+}
+
+
+
+///////////////////////////////////////
+// MULTI-BAND EXPORT PROFILE + STYLE SIDECAR
+///////////////////////////////////////
+// 'multiband' export: raw and filtered agreement, one 0/1 forest mask per dataset, the coverage and optionally the
+// weighted score and agree_bits in one GeoTIFF, all bands with the same data type and no-data value.
+// The sidecar (JSON, QML for QGIS, SLD, CLR for ArcGIS) uses the palette of src/color_legend.
+
+var EXPORT_NODATA = -1;   // no-data value of every band (outside the ROI / clusters)
+
+// Data type shared by all bands: Float32 with the weighted score, Int32 when agree_bits needs
+// more than 15 bits, else Int16
+function multibandDataType(count, options) {
+  var opts = options || {};
+  if (opts.weighted) return 'Float32';
+  return (opts.bits && count > 15) ? 'Int32' : 'Int16';
+}
+
+// Multi-band image of an agreement (see buildAgreement) plus its band descriptions.
+// options: {weighted: add 'weighted', bits: add 'agree_bits', forestType: 'forest_type' image to add (forestTypeImage)}
+// Returns {image, bands: [{band, name, description}], dataType, noData}
+function multibandExport(agreement, options) {
+  var opts = options || {};
+  var scaled = agreement.normalized ? ', scaled to the datasets with data (see coverage)' : '';
+  var bands = [
+    {name: 'agreement_raw', image: agreement.raw,
+     description: 'Number of maps agreeing on forest (0-' + agreement.count + ')' + scaled + ', before the small-patch filter'},
+    {name: 'agreement', image: agreement.filtered,
+     description: 'Number of maps agreeing on forest (0-' + agreement.count + ')' + scaled + ', small patches reassigned'}
+  ];
+  agreement.registry.forEach(function(entry, i) {
+    bands.push({name: 'f_' + entry.key, image: agreement.masks[i].round(),
+                description: entry.name + ' (' + entry.year + ') forest mask: 1 = forest, 0 = non-forest or no data'});
+  });
+  bands.push({name: 'coverage', image: agreement.coverage,
+              description: 'Number of datasets with valid data (0-' + agreement.count + ')'});
+  bands.push({name: 'sieve_changed', image: agreement.changed,
+              description: '1 = agreement value changed by the small-patch (sieve) filter'});
+  if (opts.weighted) {
+    bands.push({name: 'weighted', image: agreement.weightedFiltered,
+                description: 'Weighted consensus score, small patches reassigned'});
+  }
+  if (opts.bits) {
+    bands.push({name: 'agree_bits', image: agreement.bits,
+                description: 'Bit i set = dataset i (band order of the f_ bands) calls the pixel forest'});
+  }
+  if (opts.forestType) {
+    bands.push({name: 'forest_type', image: opts.forestType,
+                description: 'Forest type within the majority forest: ' + forestTypeLegend()});
+  }
+  var dataType = multibandDataType(agreement.count, opts);
+  var cast = {'Float32': 'toFloat', 'Int32': 'toInt32', 'Int16': 'toInt16'}[dataType];
+  var image = ee.Image.cat(bands.map(function(b) { return b.image.rename(b.name)[cast](); }));
+  return {
+    image: image,
+    bands: bands.map(function(b, i) { return {band: i + 1, name: b.name, description: b.description}; }),
+    dataType: dataType,
+    noData: EXPORT_NODATA
+  };
+}
+
+// Legend of agreement values 0..count: [{value, color, label}]
+function agreementLegend(count) {
+  var palette = agreementPalette(count);
+  var labels = agreementLabels(count);
+  return palette.map(function(color, value) {
+    return {value: value, color: color, label: labels[value]};
+  });
+}
+
+// QGIS style (.qml): paletted renderer on band "band" (1-based)
+function agreementQml(count, band) {
+  var entries = agreementLegend(count).map(function(e) {
+    return '        <paletteEntry value="' + e.value + '" color="' + e.color.toLowerCase() +
+           '" label="' + e.label + '" alpha="255"/>';
+  });
+  return ["<!DOCTYPE qgis PUBLIC 'http://mrcc.com/qgis.dtd' 'SYSTEM'>",
+          '<qgis version="3.28" styleCategories="Symbology">',
+          '  <pipe>',
+          '    <rasterrenderer type="paletted" band="' + band + '" opacity="1" alphaBand="-1" nodataColor="">',
+          '      <colorPalette>']
+    .concat(entries)
+    .concat(['      </colorPalette>',
+             '    </rasterrenderer>',
+             '  </pipe>',
+             '</qgis>'])
+    .join('\n');
+}
+
+// OGC style (.sld, e.g. GeoServer / ArcGIS Pro): exact-value color map on band "band" (1-based)
+function agreementSld(count, band) {
+  var entries = agreementLegend(count).map(function(e) {
+    return '              <ColorMapEntry color="' + e.color + '" quantity="' + e.value + '" label="' + e.label + '"/>';
+  });
+  return ['<?xml version="1.0" encoding="UTF-8"?>',
+          '<StyledLayerDescriptor version="1.0.0" xmlns="http://www.opengis.net/sld"' +
+          ' xmlns:ogc="http://www.opengis.net/ogc" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"' +
+          ' xsi:schemaLocation="http://www.opengis.net/sld http://schemas.opengis.net/sld/1.0.0/StyledLayerDescriptor.xsd">',
+          '  <NamedLayer>',
+          '    <Name>ForestAgreement</Name>',
+          '    <UserStyle>',
+          '      <Title>Forest agreement (0-' + count + ' maps)</Title>',
+          '      <FeatureTypeStyle>',
+          '        <Rule>',
+          '          <RasterSymbolizer>',
+          '            <ChannelSelection><GrayChannel><SourceChannelName>' + band +
+          '</SourceChannelName></GrayChannel></ChannelSelection>',
+          '            <ColorMap type="values">']
+    .concat(entries)
+    .concat(['            </ColorMap>',
+             '          </RasterSymbolizer>',
+             '        </Rule>',
+             '      </FeatureTypeStyle>',
+             '    </UserStyle>',
+             '  </NamedLayer>',
+             '</StyledLayerDescriptor>'])
+    .join('\n');
+}
+
+// ArcGIS color map (.clr), same layout as src/color_legend: value R G B alpha value
+function agreementClr(count) {
+  return agreementLegend(count).map(function(e) {
+    return [e.value].concat(hexToRgb(e.color)).concat([255, e.value]).join(' ');
+  }).join('\n');
+}
+
+// Sidecar metadata for an export (client-side object; export it with sidecarFeature)
+// profile: result of multibandExport, or {bands, dataType, noData} for a single-band export
+function exportSidecar(agreement, profile, info) {
+  var styleBand = 1;
+  profile.bands.forEach(function(b) { if (b.name === 'agreement') styleBand = b.band; });
+  var sidecar = {
+    product: 'Forest Agreement Layer',
+    data_type: profile.dataType,
+    nodata: profile.noData,
+    bands: profile.bands,
+    datasets: agreement.editions,
+    legend_band: styleBand,
+    legend: agreementLegend(agreement.count),
+    qml: agreementQml(agreement.count, styleBand),
+    sld: agreementSld(agreement.count, styleBand),
+    clr: agreementClr(agreement.count)
+  };
+  for (var key in (info || {})) sidecar[key] = info[key];
+  return sidecar;
+}
+
+// Sidecar as a one-row table; a table export with fileFormat 'GeoJSON' writes it as a .geojson (JSON) file
+function sidecarFeature(sidecar) {
+  return ee.FeatureCollection([ee.Feature(null, sidecar)]);
+}
+
+
+///////////////////////////////////////
+// EXPORT TARGETS (DRIVE / ASSET / GCS / BIGQUERY)
+///////////////////////////////////////
+// settings: {target: EXPORT_TARGET, folder: EXPORT_FOLDER, bucket: GCS_BUCKET, prefix: GCS_PREFIX,
+//            bigQueryDataset: BIGQUERY_DATASET}
+// Images go to the target; tables go to Drive (targets 'Drive' and 'Asset') or Cloud Storage ('GCS'),
+// and the result tables also to BigQuery when bigQueryDataset is set.
+
+var EXPORT_TARGETS = ['Drive', 'Asset', 'GCS'];
+
+// Throws on unknown targets or missing bucket/dataset names, before any export task is created
+function checkExportSettings(settings) {
+  if (EXPORT_TARGETS.indexOf(settings.target) === -1) {
+    throw new Error('ERROR: EXPORT_TARGET must be one of ' + EXPORT_TARGETS.join(', ') +
+                    ', got "' + settings.target + '".');
+  }
+  if (settings.target === 'GCS' && (!settings.bucket || settings.bucket === 'your-bucket')) {
+    throw new Error('ERROR: EXPORT_TARGET = "GCS" needs GCS_BUCKET (bucket name without gs://).');
+  }
+  if (settings.bigQueryDataset && !/^[\w-]+\.\w+$/.test(settings.bigQueryDataset)) {
+    throw new Error('ERROR: BIGQUERY_DATASET must look like "project.dataset", got "' + settings.bigQueryDataset + '".');
+  }
+}
+
+// Object name inside the bucket: prefix/name
+function gcsPath(settings, name) {
+  return settings.prefix ? settings.prefix.replace(/\/+$/, '') + '/' + name : name;
+}
+
+// Table export. options: {fileFormat (default 'CSV'), selectors, bigQuery: also export to BigQuery}
+function exportTable(collection, name, settings, options) {
+  var opts = options || {};
+  var params = {
+    collection: collection,
+    description: name,
+    fileFormat: opts.fileFormat || 'CSV'
+  };
+  if (opts.selectors) params.selectors = opts.selectors;
+  if (settings.target === 'GCS') {
+    params.bucket = settings.bucket;
+    params.fileNamePrefix = gcsPath(settings, name);
+    Export.table.toCloudStorage(params);
+  } else {
+    params.folder = settings.folder;
+    Export.table.toDrive(params);
+  }
+  if (opts.bigQuery && settings.bigQueryDataset) {
+    Export.table.toBigQuery({
+      collection: opts.selectors ? collection.select(opts.selectors) : collection,
+      description: name + '_BigQuery',
+      table: settings.bigQueryDataset + '.' + name,
+      overwrite: true
+    });
+  }
+}
+
+
+///////////////////////////////////////
+// RUN MANIFEST (REPRODUCIBILITY)
+///////////////////////////////////////
+// Records how an output was made: script and module version, time of the run, the PART 0 settings,
+// the input (ROI / SHAPEFILE_PATH), per dataset the images actually used (IDs, dates, edition) and
+// forest class codes, and the name and CRS of every tile/cluster export.
+
+var MODULE_VERSION = '1.0 (12.12.2025)';
+var MANIFEST_MAX_IDS = 500;   // image IDs listed per dataset (image_count is always complete)
+
+// Fields of a dataset entry in the manifest, in table order
+var MANIFEST_DATASET_FIELDS = ['name', 'asset_id', 'type', 'edition', 'band', 'date_filter', 'reducer', 'weight',
+                               'forest_classes', 'image_count', 'image_ids', 'first_date', 'last_date'];
+
+// Images used per dataset (client-side list of ee.Dictionary, registry order; see MANIFEST_DATASET_FIELDS)
+function datasetManifest(agreement, roi, maxIds) {
+  return agreement.registry.map(function(entry, i) {
+    var source = datasetSource(entry, roi);
+    var images = (entry.type === 'Image') ? ee.ImageCollection([source]) : source;
+    var times = images.aggregate_array('system:time_start');
+    var dateOf = function(reducer) {
+      return ee.Algorithms.If(times.size().gt(0), ee.Date(times.reduce(reducer)).format('YYYY-MM-dd'), null);
+    };
+    return ee.Dictionary({
+      key: entry.key,
+      name: entry.name,
+      asset_id: entry.assetId,
+      type: entry.type,
+      edition: entry.year,
+      band: entry.band || null,
+      date_filter: entry.dates || null,
+      reducer: entry.reducer || null,
+      weight: agreement.weights[i],
+      forest_classes: agreement.forestClasses[entry.key],
+      image_count: images.size(),
+      image_ids: images.aggregate_array('system:id').slice(0, maxIds || MANIFEST_MAX_IDS),
+      first_date: dateOf(ee.Reducer.min()),
+      last_date: dateOf(ee.Reducer.max())
+    });
+  });
+}
+
+// Run manifest (client-side object; "roi" and "datasets" hold server-side values).
+// info: {script, input, settings: {PART 0 name: value}, exports: [{name, crs, crs_method, crs_note, ...}], maxImageIds}
+// Functions in the settings (e.g. "prepare" of ADD_DATASETS) are not recorded.
+function runManifest(agreement, roi, info) {
+  return {
+    script: info.script,
+    module_version: MODULE_VERSION,
+    created: new Date().toISOString(),
+    input: info.input,
+    settings: JSON.parse(JSON.stringify(info.settings || {})),
+    roi: ee.Dictionary({
+      bounds: roi.bounds(ee.ErrorMargin(1)).coordinates().get(0),
+      area_ha: roi.area(ee.ErrorMargin(1)).divide(10000)
+    }),
+    datasets: datasetManifest(agreement, roi, info.maxImageIds),
+    exports: info.exports || []
+  };
+}
+
+// Manifest as a one-row table; a table export with fileFormat 'GeoJSON' writes it as a .geojson (JSON) file
+function manifestFeature(manifest) {
+  return ee.FeatureCollection([ee.Feature(null, manifest)]);
+}
+
+// Manifest as a long table for CSV: one row per value with columns section, item, field, value
+// (text stays as is, everything else is JSON)
+function manifestTable(manifest) {
+  var text = function(value) { return typeof value === 'string' ? value : JSON.stringify(value); };
+  var serverText = function(value) {
+    return ee.Algorithms.If(ee.Algorithms.ObjectType(value).equals('String'), value, ee.String.encodeJSON(value));
+  };
+  var row = function(section, item, field, value) {
+    return ee.Feature(null, {section: section, item: item, field: field, value: value});
+  };
+  var rows = ['script', 'module_version', 'created', 'input'].map(function(field) {
+    return row('run', '', field, text(manifest[field]));
+  });
+  rows.push(row('roi', '', 'bounds', ee.String.encodeJSON(manifest.roi.get('bounds'))));
+  rows.push(row('roi', '', 'area_ha', ee.String.encodeJSON(manifest.roi.get('area_ha'))));
+  for (var name in manifest.settings) rows.push(row('setting', name, '', text(manifest.settings[name])));
+  manifest.datasets.forEach(function(dataset) {
+    MANIFEST_DATASET_FIELDS.forEach(function(field) {
+      rows.push(row('dataset', dataset.get('key'), field, serverText(dataset.get(field))));
+    });
+  });
+  manifest.exports.forEach(function(entry) {
+    for (var field in entry) {
+      if (field !== 'name') rows.push(row('export', entry.name, field, text(entry[field])));
+    }
+  });
+  return ee.FeatureCollection(rows);
+}
+
+// Image properties for Asset exports: script, time of the run and the whole manifest as JSON text
+function manifestProperties(manifest) {
+  return ee.Dictionary({
+    manifest_script: manifest.script,
+    manifest_created: manifest.created,
+    manifest_json: ee.String.encodeJSON(ee.Dictionary(manifest))
+  });
+}
+
+
+///////////////////////////////////////
+// SENSITIVITY ANALYSIS
+///////////////////////////////////////
+// Every combination of value lists for the sieve threshold, the focal radius, the ETH height threshold and
+// the majority threshold in one run. One agreement is built per sieve/radius/height combination (all other
+// options as in the run) and counted with every majority threshold (agreement band, number of maps).
+// The result is one long table, see SENSITIVITY_COLUMNS.
+
+// Parameters in combination order: option or list key, and column in the table
+var SENSITIVITY_PARAMETERS = [
+  {key: 'sieveThresholdPixels', column: 'sieve_px'},
+  {key: 'agreementRadius', column: 'radius'},
+  {key: 'forestHeightMin', column: 'height_min'},
+  {key: 'majorityThreshold', column: 'majority'}
+];
+var MAX_SENSITIVITY_AGREEMENTS = 48;   // sieve × radius × height combinations (agreements) per run
+var SENSITIVITY_COLUMNS = ['run', 'sieve_px', 'radius', 'height_min', 'majority', 'current',
+                           'scope', 'item', 'forest_ha', 'forest_pct'];
+
+// Every combination of the value lists (client-side list of {sieveThresholdPixels, agreementRadius,
+// forestHeightMin, majorityThreshold}); a missing or empty list keeps the value of "current"
+function sensitivityCombinations(lists, current) {
+  var combos = [{}];
+  SENSITIVITY_PARAMETERS.forEach(function(p) {
+    var values = (lists[p.key] && lists[p.key].length) ? lists[p.key] : [current[p.key]];
+    var next = [];
+    combos.forEach(function(combo) {
+      values.forEach(function(value) {
+        var c = {};
+        for (var key in combo) c[key] = combo[key];
+        c[p.key] = value;
+        next.push(c);
+      });
+    });
+    combos = next;
+  });
+  return combos;
+}
+
+// Combinations of "lists" for an agreement (see sensitivityCombinations), grouped by the agreement they need:
+// [{params, thresholds: [majority thresholds]}]. Throws on invalid values or too many agreements, so the
+// scripts can check the lists before any export task is created.
+function sensitivityGroups(agreement, lists, majorityThreshold) {
+  var current = {
+    sieveThresholdPixels: agreement.options.sieveThresholdPixels,
+    agreementRadius: agreement.options.agreementRadius,
+    forestHeightMin: agreement.options.forestHeightMin,
+    majorityThreshold: majorityThreshold
+  };
+  var combos = sensitivityCombinations(lists, current);
+  combos.forEach(function(c) {
+    if (!(c.majorityThreshold >= 1 && c.majorityThreshold <= agreement.count)) {
+      throw new Error('ERROR: Sensitivity majority thresholds must be between 1 and ' + agreement.count +
+                      ' (number of datasets), got "' + c.majorityThreshold + '".');
+    }
+    if (!(c.sieveThresholdPixels >= 1) || !(c.agreementRadius >= 1) || !(c.forestHeightMin >= 0)) {
+      throw new Error('ERROR: Sensitivity values need sieve pixels >= 1, radius >= 1 and height >= 0, got ' +
+                      JSON.stringify(c) + '.');
+    }
+  });
+
+  var groups = [];
+  var groupOf = {};
+  combos.forEach(function(c) {
+    var key = [c.sieveThresholdPixels, c.agreementRadius, c.forestHeightMin].join('|');
+    if (!groupOf[key]) {
+      groupOf[key] = {params: c, thresholds: []};
+      groups.push(groupOf[key]);
+    }
+    groupOf[key].thresholds.push(c.majorityThreshold);
+  });
+  if (groups.length > MAX_SENSITIVITY_AGREEMENTS) {
+    throw new Error('ERROR: The sensitivity lists need ' + groups.length + ' agreements (sieve × radius × height); ' +
+                    'at most ' + MAX_SENSITIVITY_AGREEMENTS + ' are possible. Shorten the lists.');
+  }
+  return groups;
+}
+
+// Sensitivity table of an agreement (see buildAgreement) for every combination of "lists" (see
+// sensitivityCombinations). settings: {majorityThreshold (of the run), region, scale,
+// polygons (optional FeatureCollection), idField (default 'system:index'), crs (of the polygon statistics)}
+// Rows per combination, with the parameter columns, "run" (combination number) and "current" (the run's values):
+//   scope 'extent'  - item = dataset name or majority label: forest_ha and forest_pct of "region"
+//   scope 'polygon' - item = polygon ID: majority forest forest_ha and forest_pct (= forestagree) of the polygon
+function sensitivityAnalysis(agreement, roi, lists, settings) {
+  var current = {
+    sieveThresholdPixels: agreement.options.sieveThresholdPixels,
+    agreementRadius: agreement.options.agreementRadius,
+    forestHeightMin: agreement.options.forestHeightMin,
+    majorityThreshold: settings.majorityThreshold
+  };
+  var groups = sensitivityGroups(agreement, lists, settings.majorityThreshold);
+
+  var pixelHa = ee.Image.pixelArea().divide(10000);
+  var regionHa = pixelHa.reduceRegion({
+    reducer: ee.Reducer.sum(),
+    geometry: settings.region,
+    scale: settings.scale,
+    maxPixels: 1e13
+  }).getNumber('area');
+  var idField = settings.idField || 'system:index';
+  var tables = [];
+  var run = 0;
+
+  groups.forEach(function(group) {
+    var a = rebuildAgreement(agreement, roi, {
+      sieveThresholdPixels: group.params.sieveThresholdPixels,
+      agreementRadius: group.params.agreementRadius,
+      forestHeightMin: group.params.forestHeightMin
+    });
+    // Area (ha) per dataset (f_<key>) and per majority threshold (m_<t>), one reduction per agreement
+    var majorityBands = group.thresholds.map(function(t) {
+      return pixelHa.multiply(majorityMask(a, 'agreement', t)).rename('m_' + t);
+    });
+    var datasetBands = a.masks.map(function(mask, i) {
+      return pixelHa.multiply(mask.eq(1)).rename('f_' + a.keys[i]);
+    });
+    var sums = ee.Image.cat(datasetBands.concat(majorityBands)).reduceRegion({
+      reducer: ee.Reducer.sum(),
+      geometry: settings.region,
+      scale: settings.scale,
+      maxPixels: 1e13
+    });
+    var polygonSums = settings.polygons ? ee.Image.cat(majorityBands).reduceRegions({
+      collection: settings.polygons,
+      reducer: ee.Reducer.sum().forEach(group.thresholds.map(function(t) { return 'm_' + t; })),
+      scale: settings.scale,
+      crs: settings.crs,
+      tileScale: 4
+    }) : null;
+
+    group.thresholds.forEach(function(t) {
+      run += 1;
+      var columns = {run: run, current: true};
+      SENSITIVITY_PARAMETERS.forEach(function(p) {
+        var value = (p.key === 'majorityThreshold') ? t : group.params[p.key];
+        columns[p.column] = value;
+        if (value !== current[p.key]) columns.current = false;
+      });
+      var row = function(scope, item, forestHa, totalHa) {
+        var props = {scope: scope, item: item, forest_ha: forestHa,
+                     forest_pct: ee.Algorithms.If(totalHa.gt(0), forestHa.divide(totalHa).multiply(100), 0)};
+        for (var c in columns) props[c] = columns[c];
+        return props;
+      };
+
+      var extent = a.names.map(function(name, i) {
+        return ee.Feature(null, row('extent', name, sums.getNumber('f_' + a.keys[i]), regionHa));
+      });
+      extent.push(ee.Feature(null, row('extent', 'Forest agreement >= ' + t + ' maps', sums.getNumber('m_' + t), regionHa)));
+      tables.push(ee.FeatureCollection(extent));
+
+      if (polygonSums) {
+        tables.push(polygonSums.map(function(f) {
+          var areaM2 = ee.Number(ee.Algorithms.If(f.get('area_m2'), f.get('area_m2'), f.geometry().area(1)));
+          var forestHa = ee.Number(ee.Algorithms.If(f.get('m_' + t), f.get('m_' + t), 0));
+          return ee.Feature(null, row('polygon', f.get(idField), forestHa, areaM2.divide(10000)));
+        }));
+      }
+    });
+  });
+
+  return tables.reduce(function(all, table) { return all.merge(table); });
+}
+
+
+///////////////////////////////////////
+// FOREST LOSS AFTER THE CUT-OFF DATE
+///////////////////////////////////////
+// Each loss source returns an image with band 'loss_day' (days since 1970-01-01 of the loss/alert),
+// masked where there is no loss. Sources with yearly precision use 1 January of the loss year.
+
+// Days since 1970-01-01 of 1 January of "year" (image or number, valid 1901-2099)
+function epochDayOfYear(year) {
+  year = ee.Image(year);
+  return year.subtract(1970).multiply(365).add(year.subtract(1969).divide(4).floor());
+}
+
+var LOSS_SOURCES = {
+  // Hansen Global Forest Change v1.12 (30m), loss year 2001-2024 [Hansen et al. 2013]
+  'Hansen': {
+    name: 'Hansen GFC lossyear',
+    precision: 'year',
+    load: function(roi) {
+      var lossyear = ee.Image('UMD/hansen/global_forest_change_2024_v1_12').select('lossyear');
+      return epochDayOfYear(lossyear.add(2000)).updateMask(lossyear.gt(0))
+        .rename('loss_day').clip(roi);
+    }
+  },
+  // RADD forest disturbance alerts (10m, humid tropics), Date = YYDOY, Alert 2 = low / 3 = high confidence [Reiche et al. 2021]
+  'RADD': {
+    name: 'RADD alerts',
+    precision: 'day',
+    load: function(roi) {
+      var radd = ee.ImageCollection('projects/radar-wur/raddalert/v1')
+        .filterBounds(roi)
+        .filter(ee.Filter.eq('layer', 'alert'))
+        .mosaic();
+      var yydoy = radd.select('Date');
+      var year = yydoy.divide(1000).floor().add(2000);
+      var doy = yydoy.mod(1000);
+      return epochDayOfYear(year).add(doy).subtract(1)
+        .updateMask(radd.select('Alert').gte(2))
+        .rename('loss_day').clip(roi);
+    }
+  },
+  // GLAD Sentinel-2 alerts (10m, Amazon basin), alertDate = day number since 1 January 2019 (day 1) [Pickens et al. 2020]
+  'GLAD_S2': {
+    name: 'GLAD-S2 alerts',
+    precision: 'day',
+    load: function(roi) {
+      var alert = ee.Image('projects/glad/S2alert/alert');
+      var alertDate = ee.Image('projects/glad/S2alert/alertDate');
+      return epochDayOfYear(2019).add(alertDate).subtract(1)
+        .updateMask(alert.gt(0).and(alertDate.gt(0)))
+        .rename('loss_day').clip(roi);
+    }
+  }
+};
+
+// Days since 1970-01-01 of a date string (server-side)
+function epochDay(date) {
+  return ee.Date(date).millis().divide(86400000).floor();
+}
+
+// Forest loss inside "forestMask" between start and end (inclusive, 'YYYY-MM-DD').
+// Returns bands 'loss' (1 = lost forest, 0 elsewhere) and 'loss_day' (masked where no loss).
+// Yearly sources count a year when it overlaps the window.
+function forestLoss(roi, forestMask, sourceKey, start, end) {
+  var source = LOSS_SOURCES[sourceKey];
+  if (!source) {
+    throw new Error('ERROR: Unknown loss source "' + sourceKey + '". Choose one of: ' +
+                    Object.keys(LOSS_SOURCES).join(', ') + '.');
+  }
+  var first = epochDay(start);
+  if (source.precision === 'year') first = epochDay(ee.Date.fromYMD(ee.Date(start).get('year'), 1, 1));
+  var last = epochDay(end);
+
+  var lossDay = source.load(roi);
+  var inWindow = lossDay.gte(first).and(lossDay.lte(last)).and(forestMask.eq(1));
+  lossDay = lossDay.updateMask(inWindow);
+  return inWindow.unmask(0).rename('loss').addBands(lossDay);
+}
+
+// 'loss_day' value -> 'YYYY-MM-dd' (or 'YYYY' for yearly sources); '' when there is no loss
+function formatLossDay(day, sourceKey) {
+  var format = LOSS_SOURCES[sourceKey].precision === 'year' ? 'YYYY' : 'YYYY-MM-dd';
+  return ee.String(ee.Algorithms.If(
+    ee.Algorithms.IsEqual(day, null), '',
+    ee.Date(ee.Number(day).multiply(86400000)).format(format)));
+}
+
+
+///////////////////////////////////////
+// PLOT INPUT FROM TEXT (GeoJSON / CSV / WKT)
+///////////////////////////////////////
+// Client-side parsers for plot geometries pasted into a script, so no asset upload is needed.
+// Each parser returns {features: [GeoJSON features], errors: [{row, error}], layout}; every feature
+// keeps its source row in "src_row". Rows with errors are left out and reported. The checks below throw
+// Errors whose message is the reason for one row (no 'ERROR:' prefix, it is embedded in other messages).
+
+var GEOMETRY_TYPES = ['Point', 'MultiPoint', 'Polygon', 'MultiPolygon'];
+
+// EUDR Information System GeoJSON: properties such as ProducerCountry / ProductionPlace, and
+// point plots carrying their size in "Area" (ha)
+var EUDR_PROPERTIES = ['ProducerName', 'ProducerCountry', 'ProductionPlace', 'Area'];
+
+// Throws when a [lon, lat] position is not numeric or out of range (often swapped lat/lon)
+function checkPosition(position) {
+  var lon = position[0], lat = position[1];
+  if (typeof lon !== 'number' || typeof lat !== 'number' || isNaN(lon) || isNaN(lat)) {
+    throw new Error('coordinates are not numeric');
+  }
+  if (lon < -180 || lon > 180 || lat < -90 || lat > 90) {
+    throw new Error('coordinates out of range (lon ' + lon + ', lat ' + lat + '); lat/lon swapped?');
+  }
+}
+
+// Throws when a GeoJSON geometry is missing, unsupported or has bad coordinates
+function checkGeometry(geometry) {
+  if (!geometry || !geometry.type) throw new Error('no geometry');
+  if (GEOMETRY_TYPES.indexOf(geometry.type) === -1) {
+    throw new Error('geometry type "' + geometry.type + '" not supported (use ' + GEOMETRY_TYPES.join(', ') + ')');
+  }
+  var depth = {'Point': 0, 'MultiPoint': 1, 'Polygon': 2, 'MultiPolygon': 3}[geometry.type];
+  var walk = function(coords, level) {
+    if (!(coords instanceof Array) || (level > 0 && coords.length === 0)) throw new Error('empty or malformed coordinates');
+    if (level === 0) return checkPosition(coords);
+    coords.forEach(function(c) { walk(c, level - 1); });
+  };
+  walk(geometry.coordinates, depth);
+}
+
+// WKT (POINT, MULTIPOINT, POLYGON, MULTIPOLYGON) -> GeoJSON geometry
+function parseWkt(wkt) {
+  var match = /^\s*(POINT|MULTIPOINT|POLYGON|MULTIPOLYGON)\s*(Z|M|ZM)?\s*(\(.*\))\s*$/i.exec(String(wkt));
+  if (!match) throw new Error('WKT not recognised (use POINT, MULTIPOINT, POLYGON or MULTIPOLYGON)');
+  var type = {'POINT': 'Point', 'MULTIPOINT': 'MultiPoint',
+              'POLYGON': 'Polygon', 'MULTIPOLYGON': 'MultiPolygon'}[match[1].toUpperCase()];
+  var json = match[3]
+    .replace(/(-?[\d.]+(?:[eE][-+]?\d+)?)\s+(-?[\d.]+(?:[eE][-+]?\d+)?)(?:\s+-?[\d.]+(?:[eE][-+]?\d+)?)*/g, '[$1,$2]')
+    .replace(/\(/g, '[').replace(/\)/g, ']');
+  var coords;
+  try {
+    coords = JSON.parse(json);
+  } catch (e) {
+    throw new Error('WKT coordinates could not be read');
+  }
+  if (type === 'Point') coords = coords[0];
+  if (type === 'MultiPoint' && coords.length && coords[0][0] instanceof Array) {
+    coords = coords.map(function(c) { return c[0]; });   // MULTIPOINT ((x y), (x y))
+  }
+  return {type: type, coordinates: coords};
+}
+
+// GeoJSON text (FeatureCollection, Feature or bare geometry) or an already parsed object
+function parseGeoJsonText(text) {
+  var result = {features: [], errors: [], layout: 'GeoJSON'};
+  var data;
+  try {
+    data = (typeof text === 'string') ? JSON.parse(text) : text;
+  } catch (e) {
+    result.errors.push({row: 0, error: 'GeoJSON could not be parsed: ' + e.message});
+    return result;
+  }
+  var features = (data && data.type === 'FeatureCollection') ? (data.features || [])
+               : (data && data.type === 'Feature') ? [data]
+               : [{type: 'Feature', geometry: data, properties: {}}];
+
+  features.forEach(function(feature, i) {
+    var props = {};
+    var source = (feature && feature.properties) || {};
+    for (var key in source) props[key] = source[key];
+    props.src_row = i + 1;
+    if (EUDR_PROPERTIES.some(function(p) { return p !== 'Area' && source[p] !== undefined; })) {
+      result.layout = 'EUDR';
+    }
+    try {
+      checkGeometry(feature && feature.geometry);
+      // EUDR point plots: buffer to their declared area instead of BUFFER_HA
+      if (feature.geometry.type.indexOf('Point') !== -1 && source.Area > 0) props.buffer_ha = Number(source.Area);
+      result.features.push({type: 'Feature', geometry: feature.geometry, properties: props});
+    } catch (e) {
+      result.errors.push({row: i + 1, error: e.message});
+    }
+  });
+  return result;
+}
+
+// One CSV line -> list of fields (quotes allowed, "" inside quotes = ")
+function splitCsvLine(line, delimiter) {
+  var fields = [];
+  var field = '';
+  var quoted = false;
+  for (var i = 0; i < line.length; i++) {
+    var ch = line.charAt(i);
+    if (quoted) {
+      if (ch === '"' && line.charAt(i + 1) === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      fields.push(field); field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields.map(function(f) { return f.trim(); });
+}
+
+// CSV text with lat/lon columns or a WKT column. options: {latField, lonField, wktField}
+// The delimiter (comma, semicolon or tab) is taken from the header line.
+function parseCsvText(text, options) {
+  options = options || {};
+  var latField = options.latField || 'lat';
+  var lonField = options.lonField || 'lon';
+  var wktField = options.wktField || 'wkt';
+  var result = {features: [], errors: [], layout: 'CSV'};
+
+  var lines = String(text).split(/\r?\n/);
+  var header = lines[0] || '';
+  var delimiter = [';', '\t', ','].filter(function(d) { return header.indexOf(d) !== -1; })[0] || ',';
+  var columns = splitCsvLine(header, delimiter);
+  var lower = columns.map(function(c) { return c.toLowerCase(); });
+  var iLat = lower.indexOf(latField.toLowerCase());
+  var iLon = lower.indexOf(lonField.toLowerCase());
+  var iWkt = lower.indexOf(wktField.toLowerCase());
+  if (iWkt === -1 && (iLat === -1 || iLon === -1)) {
+    result.errors.push({row: 1, error: 'Header needs a "' + wktField + '" column or "' + latField +
+                                       '" and "' + lonField + '" columns'});
+    return result;
+  }
+
+  for (var r = 1; r < lines.length; r++) {
+    if (lines[r].trim() === '') continue;
+    var values = splitCsvLine(lines[r], delimiter);
+    var props = {src_row: r + 1};
+    columns.forEach(function(column, c) {
+      if (c === iWkt || c === iLat || c === iLon) return;
+      var v = values[c];
+      props[column] = (v !== undefined && v !== '' && !isNaN(Number(v))) ? Number(v) : v;
+    });
+    try {
+      var geometry;
+      if (iWkt !== -1 && values[iWkt]) {
+        geometry = parseWkt(values[iWkt]);
+      } else {
+        if (iLat === -1 || iLon === -1 || !values[iLat] || !values[iLon]) throw new Error('no WKT and no lat/lon value');
+        geometry = {type: 'Point', coordinates: [Number(values[iLon]), Number(values[iLat])]};
+      }
+      checkGeometry(geometry);
+      result.features.push({type: 'Feature', geometry: geometry, properties: props});
+    } catch (e) {
+      result.errors.push({row: r + 1, error: e.message});
+    }
+  }
+  return result;
+}
+
+// Parses plot text into {collection, errors, layout}. format: 'GeoJSON' or 'CSV'.
+//   collection - ee.FeatureCollection of the rows that could be read
+//   errors     - ee.FeatureCollection (no geometry) with src_row and parse_error per rejected row
+function parsePlotText(format, text, options) {
+  var parsed;
+  if (format === 'GeoJSON') parsed = parseGeoJsonText(text);
+  else if (format === 'CSV') parsed = parseCsvText(text, options);
+  else throw new Error('ERROR: Unknown plot text format "' + format + '". Choose "GeoJSON" or "CSV".');
+
+  return {
+    collection: ee.FeatureCollection(parsed.features.map(function(f) {
+      return ee.Feature(ee.Geometry(f.geometry, null, false), f.properties);
+    })),
+    errors: ee.FeatureCollection(parsed.errors.map(function(e) {
+      return ee.Feature(null, {src_row: e.row, parse_error: e.error});
+    })),
+    count: parsed.features.length,
+    errorCount: parsed.errors.length,
+    layout: parsed.layout
+  };
+}
+
+
+///////////////////////////////////////
+// RULE-BASED CLASSIFICATION (e.g. EUDR risk)
+///////////////////////////////////////
+/*
+Rules are checked top to bottom per feature; the first rule whose conditions all hold sets the
+category, code and reason. A rule without conditions always matches (use it last as a fallback).
+  {category: 'high', code: 'H1', reason: 'text', conditions: [{property: 'forestagree', gte: 10}]}
+Condition operators: eq, neq, gt, gte, lt, lte. A missing/null property never matches.
+*/
+
+var RULE_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte'];
+
+// Operator used in a condition (exactly one per condition)
+function conditionOperator(condition) {
+  var ops = RULE_OPERATORS.filter(function(op) { return condition[op] !== undefined; });
+  return ops.length === 1 ? ops[0] : null;
+}
+
+// Check a rule set before it is applied
+function validateRules(rules) {
+  if (!rules || rules.length === 0) {
+    throw new Error('ERROR: The rule set is empty.');
+  }
+  rules.forEach(function(rule, i) {
+    var label = 'Rule ' + (i + 1) + ' (' + (rule.code || 'no code') + ')';
+    if (!rule.category || !rule.code) {
+      throw new Error('ERROR: ' + label + ' needs "category" and "code".');
+    }
+    (rule.conditions || []).forEach(function(condition) {
+      if (!condition.property || !conditionOperator(condition)) {
+        throw new Error('ERROR: ' + label + ' has a condition without "property" or with not exactly one of ' +
+                        RULE_OPERATORS.join(', ') + '.');
+      }
+    });
+  });
+}
+
+// 1 if the feature satisfies the condition, else 0
+function conditionTest(feature, condition) {
+  var op = conditionOperator(condition);
+  var value = feature.get(condition.property);
+  var test;
+  if (op === 'eq') {
+    test = ee.Algorithms.IsEqual(value, condition.eq);
+  } else if (op === 'neq') {
+    test = ee.Algorithms.If(ee.Algorithms.IsEqual(value, condition.neq), false, true);
+  } else {
+    test = ee.Number(value)[op](condition[op]);
+  }
+  return ee.Number(ee.Algorithms.If(ee.Algorithms.IsEqual(value, null), 0,
+                                    ee.Algorithms.If(test, 1, 0)));
+}
+
+// 1 if all conditions of the rule hold, else 0
+function ruleTest(feature, rule) {
+  return (rule.conditions || []).reduce(function(all, condition) {
+    return all.and(conditionTest(feature, condition));
+  }, ee.Number(1));
+}
+
+// Sets fields.category / fields.code / fields.reason on every feature from the first matching rule.
+// Features matching no rule get 'unclassified'.
+function applyRules(collection, rules, fields) {
+  validateRules(rules);
+  return collection.map(function(feature) {
+    var result = ee.Dictionary({category: 'unclassified', code: '', reason: 'No rule matched'});
+    for (var i = rules.length - 1; i >= 0; i--) {
+      var rule = ee.Dictionary({
+        category: rules[i].category,
+        code: rules[i].code,
+        reason: rules[i].reason || ''
+      });
+      result = ee.Algorithms.If(ruleTest(feature, rules[i]), rule, result);
+    }
+    result = ee.Dictionary(result);
+    return feature.set(fields.category, result.get('category'),
+                       fields.code, result.get('code'),
+                       fields.reason, result.get('reason'));
+  });
+}
+
+
+///////////////////////////////////////
+// CRS SELECTION (UTM ZONES)
+///////////////////////////////////////
+// Client-side choice of the export/statistics CRS from the bounds [minLon, minLat, maxLon, maxLat]
+// of a tile, cluster or ROI. Follows the UTM grid including the Norway (32V) and Svalbard (31X-37X)
+// exceptions and the hemispheres; regions spanning several zones are split per zone or use an equal-area CRS.
+
+var UTM_LAT_BREAKS = [-80, 0, 56, 64, 72, 84];    // UTM range and the latitude bands with special zones
+var UTM_SPECIAL_LONS = [3, 9, 12, 21, 33, 42];    // zone edges of the Norway / Svalbard exceptions
+
+// UTM zone number of a position
+function utmZone(lon, lat) {
+  var zone = Math.min(60, Math.floor((lon + 180) / 6) + 1);
+  if (lat >= 56 && lat < 64 && lon >= 3 && lon < 12) return 32;   // southwest Norway
+  if (lat >= 72 && lat < 84 && lon >= 0 && lon < 42) {            // Svalbard: only odd zones 31-37
+    return lon < 9 ? 31 : lon < 21 ? 33 : lon < 33 ? 35 : 37;
+  }
+  return zone;
+}
+
+// EPSG code of a UTM zone (WGS 84): 326xx north, 327xx south
+function utmEpsg(zone, south) {
+  return 'EPSG:' + (south ? '327' : '326') + (zone < 10 ? '0' : '') + zone;
+}
+
+// Bounds [minLon, minLat, maxLon, maxLat] of a client-side coordinate ring (e.g. from bounds().evaluate)
+function ringBounds(ring) {
+  var lons = ring.map(function(p) { return p[0]; });
+  var lats = ring.map(function(p) { return p[1]; });
+  return [Math.min.apply(null, lons), Math.min.apply(null, lats),
+          Math.max.apply(null, lons), Math.max.apply(null, lats)];
+}
+
+// Split bounds into parts with one UTM zone + hemisphere each: [{crs, bounds}].
+// crs is null for parts outside the UTM range (south of 80°S, north of 84°N).
+function utmParts(bounds) {
+  var between = function(breaks, lo, hi) {
+    return [lo].concat(breaks.filter(function(v) { return v > lo && v < hi; })).concat([hi]);
+  };
+  var lonBreaks = UTM_SPECIAL_LONS.slice();
+  for (var edge = -174; edge < 180; edge += 6) lonBreaks.push(edge);
+  lonBreaks.sort(function(a, b) { return a - b; });
+
+  var latEdges = between(UTM_LAT_BREAKS, bounds[1], bounds[3]);
+  var lonEdges = between(lonBreaks, bounds[0], bounds[2]);
+  var parts = [];
+  for (var j = 0; j < latEdges.length - 1; j++) {
+    var row = [];
+    for (var i = 0; i < lonEdges.length - 1; i++) {
+      var midLon = (lonEdges[i] + lonEdges[i + 1]) / 2;
+      var midLat = (latEdges[j] + latEdges[j + 1]) / 2;
+      var crs = (midLat < -80 || midLat >= 84) ? null : utmEpsg(utmZone(midLon, midLat), midLat < 0);
+      var last = row[row.length - 1];
+      if (last && last.crs === crs) {
+        last.bounds[2] = lonEdges[i + 1];   // same zone as its western neighbour: widen it
+      } else {
+        row.push({crs: crs, bounds: [lonEdges[i], latEdges[j], lonEdges[i + 1], latEdges[j + 1]]});
+      }
+    }
+    // Merge with the part below when zone and longitudes are identical
+    row.forEach(function(part) {
+      var below = parts.filter(function(p) {
+        return p.crs === part.crs && p.bounds[0] === part.bounds[0] && p.bounds[2] === part.bounds[2] &&
+               p.bounds[3] === part.bounds[1];
+      })[0];
+      if (below) below.bounds[3] = part.bounds[3];
+      else parts.push(part);
+    });
+  }
+  return parts;
+}
+
+// CRS for bounds. options: {forceCrs, multiZone: 'split' | 'equal-area', equalAreaCrs}
+// Returns {crs, method: 'forced' | 'utm' | 'split' | 'equal-area', parts: [{crs, bounds}], note};
+// with 'split' crs is null and every part carries its own UTM CRS.
+function chooseCrs(bounds, options) {
+  var opts = options || {};
+  var equalAreaCrs = opts.equalAreaCrs || DEFAULTS.equalAreaCrs;
+  if (opts.forceCrs) {
+    return {crs: opts.forceCrs, method: 'forced', parts: [{crs: opts.forceCrs, bounds: bounds}], note: 'set by the user'};
+  }
+  var parts = utmParts(bounds);
+  var zones = parts.map(function(p) { return p.crs; });
+  if (parts.length === 1 && zones[0]) {
+    return {crs: zones[0], method: 'utm', parts: parts, note: 'one UTM zone'};
+  }
+  if (zones.indexOf(null) !== -1) {
+    return {crs: equalAreaCrs, method: 'equal-area', parts: [{crs: equalAreaCrs, bounds: bounds}],
+            note: 'outside the UTM range (80°S-84°N)'};
+  }
+  var note = parts.length + ' UTM zones/hemispheres (' + zones.join(', ') + ')';
+  if ((opts.multiZone || DEFAULTS.multiZone) === 'split') {
+    return {crs: null, method: 'split', parts: parts, note: note + ', split per zone'};
+  }
+  return {crs: equalAreaCrs, method: 'equal-area', parts: [{crs: equalAreaCrs, bounds: bounds}], note: note};
+}
+
+
+///////////////////////////////////////
+// CLICK INSPECTOR
+///////////////////////////////////////
+// Why is a pixel 4 and not 9? A click on the map shows, per dataset, the native class and the forest vote,
+// plus the raw and filtered agreement and the ETH canopy height at that pixel.
+
+// One image to sample: native_<key> (first band of the loaded dataset), forest_<key> (0/1 vote),
+// agreement_raw, agreement_filtered and canopy_height (ETH, loaded even when ETH is not in the registry)
+function inspectionImage(agreement, roi) {
+  var bands = agreement.registry.map(function(entry, i) {
+    return agreement.datasets[entry.key].select([0], ['native_' + entry.key])
+      .addBands(agreement.masks[i].round().rename('forest_' + entry.key));
+  });
+  return ee.Image.cat(bands)
+    .addBands(agreement.raw.rename('agreement_raw'))
+    .addBands(agreement.filtered.rename('agreement_filtered'))
+    .addBands(agreement.coverage.rename('coverage'))
+    .addBands(agreement.changed.rename('sieve_changed'))
+    .addBands(canopyHeight(agreement, roi).rename('canopy_height'));
+}
+
+// Sampled value for display: '–' for no data, at most 2 decimals
+function formatSample(value) {
+  if (value === null || value === undefined) return '–';
+  return (value % 1 === 0) ? String(value) : value.toFixed(2);
+}
+
+// Adds the inspector panel to the map and samples every click at options.scale (meters).
+// Returns the panel; Map.unlisten() removes the click handler again.
+function addInspector(agreement, roi, options) {
+  var scale = (options && options.scale) || DEFAULTS.targetResolution;
+  var image = inspectionImage(agreement, roi);
+  var panel = ui.Panel({style: {position: (options && options.position) || 'bottom-right', width: '320px', padding: '8px'}});
+  panel.add(ui.Label('🔎 Click on the map to see the forest votes of each dataset.'));
+
+  var makeRow = function(cells, bold) {
+    var widths = ['150px', '70px', '50px'];
+    return ui.Panel({
+      widgets: cells.map(function(cell, i) {
+        return ui.Label({value: cell, style: {width: widths[i], margin: '0 4px', fontWeight: bold ? 'bold' : 'normal'}});
+      }),
+      layout: ui.Panel.Layout.Flow('horizontal')
+    });
+  };
+
+  var clicks = 0;
+  Map.style().set('cursor', 'crosshair');
+  Map.onClick(function(coords) {
+    var click = ++clicks;   // only the latest click fills the panel
+    panel.clear();
+    panel.add(ui.Label({value: 'Pixel at ' + coords.lon.toFixed(5) + ', ' + coords.lat.toFixed(5),
+                        style: {fontWeight: 'bold'}}));
+    var status = ui.Label('⏳ Sampling...');
+    panel.add(status);
+    image.reduceRegion({
+      reducer: ee.Reducer.first(),
+      geometry: ee.Geometry.Point([coords.lon, coords.lat]),
+      scale: scale
+    }).evaluate(function(values, error) {
+      if (click !== clicks) return;
+      if (error) return status.setValue('⚠️ ' + error);
+      panel.remove(status);
+      panel.add(makeRow(['Dataset', 'Class', 'Forest'], true));
+      agreement.registry.forEach(function(entry) {
+        var vote = values['forest_' + entry.key];
+        panel.add(makeRow([entry.name, formatSample(values['native_' + entry.key]),
+                           vote === null || vote === undefined ? '–' : (vote === 1 ? 'yes' : 'no')]));
+      });
+      panel.add(ui.Label('Agreement raw / filtered: ' + formatSample(values.agreement_raw) + ' / ' +
+                         formatSample(values.agreement_filtered) + ' of ' + agreement.count + ' maps'));
+      panel.add(ui.Label('Datasets with valid data: ' + formatSample(values.coverage) + ' of ' + agreement.count));
+      if (values.sieve_changed === 1) panel.add(ui.Label('Agreement changed by the sieve (small-patch) filter'));
+      panel.add(ui.Label('ETH canopy height: ' + formatSample(values.canopy_height) + ' m'));
+    });
+  });
+  Map.add(panel);
+  return panel;
+}
+
+
+///////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////
+
+exports.DEFAULTS = DEFAULTS;
+exports.DATASETS = DATASETS;
+exports.BASE_PALETTE = BASE_PALETTE;
+exports.resolveRegistry = resolveRegistry;
+exports.selectEdition = selectEdition;
+exports.getForestClasses = getForestClasses;
+exports.getWeights = getWeights;
+exports.getFractionThresholds = getFractionThresholds;
+exports.reclassifyImage = reclassifyImage;
+exports.reprojectAndResample = reprojectAndResample;
+exports.AGGREGATION_MODES = AGGREGATION_MODES;
+exports.NATIVE_RESOLUTION = NATIVE_RESOLUTION;
+exports.nativeProjection = nativeProjection;
+exports.toAgreementGrid = toAgreementGrid;
+exports.datasetSource = datasetSource;
+exports.loadDataset = loadDataset;
+exports.loadDatasets = loadDatasets;
+exports.agreementPalette = agreementPalette;
+exports.agreementLabels = agreementLabels;
+exports.SIEVE_MODES = SIEVE_MODES;
+exports.mmuPixels = mmuPixels;
+exports.sieveFilter = sieveFilter;
+exports.buildAgreement = buildAgreement;
+exports.majorityMask = majorityMask;
+exports.rebuildAgreement = rebuildAgreement;
+exports.decodeAgreementBits = decodeAgreementBits;
+exports.agreementBitsToNames = agreementBitsToNames;
+exports.castBits = castBits;
+exports.FOREST_TYPES = FOREST_TYPES;
+exports.FOREST_TYPE_UNKNOWN = FOREST_TYPE_UNKNOWN;
+exports.forestTypeLegend = forestTypeLegend;
+exports.forestTypeImage = forestTypeImage;
+exports.forestTypeAreaImage = forestTypeAreaImage;
+exports.CANOPY_HEIGHT_LEVELS = CANOPY_HEIGHT_LEVELS;
+exports.canopyHeight = canopyHeight;
+exports.canopyHeightColumns = canopyHeightColumns;
+exports.canopyHeightImage = canopyHeightImage;
+exports.canopyHeightReducer = canopyHeightReducer;
+exports.SENSITIVITY_PARAMETERS = SENSITIVITY_PARAMETERS;
+exports.SENSITIVITY_COLUMNS = SENSITIVITY_COLUMNS;
+exports.sensitivityCombinations = sensitivityCombinations;
+exports.sensitivityGroups = sensitivityGroups;
+exports.sensitivityAnalysis = sensitivityAnalysis;
+exports.EXPORT_NODATA = EXPORT_NODATA;
+exports.multibandExport = multibandExport;
+exports.agreementLegend = agreementLegend;
+exports.agreementQml = agreementQml;
+exports.agreementSld = agreementSld;
+exports.agreementClr = agreementClr;
+exports.exportSidecar = exportSidecar;
+exports.sidecarFeature = sidecarFeature;
+exports.EXPORT_TARGETS = EXPORT_TARGETS;
+exports.checkExportSettings = checkExportSettings;
+exports.gcsPath = gcsPath;
+exports.exportTable = exportTable;
+exports.MODULE_VERSION = MODULE_VERSION;
+exports.runManifest = runManifest;
+exports.manifestFeature = manifestFeature;
+exports.manifestTable = manifestTable;
+exports.manifestProperties = manifestProperties;
+exports.LOSS_SOURCES = LOSS_SOURCES;
+exports.forestLoss = forestLoss;
+exports.formatLossDay = formatLossDay;
+exports.parseWkt = parseWkt;
+exports.parseGeoJsonText = parseGeoJsonText;
+exports.parseCsvText = parseCsvText;
+exports.parsePlotText = parsePlotText;
+exports.validateRules = validateRules;
+exports.applyRules = applyRules;
+exports.inspectionImage = inspectionImage;
+exports.addInspector = addInspector;
+exports.utmZone = utmZone;
+exports.utmEpsg = utmEpsg;
+exports.ringBounds = ringBounds;
+exports.utmParts = utmParts;
+exports.chooseCrs = chooseCrs;